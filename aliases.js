@@ -0,0 +1,190 @@
+// Alias Suggestions
+// Lists display names that probably belong to the same person, to copy into the
+// "users.aliases" section of cuckoo.config.json. Two names are suggested when
+// they look alike (same name in another case, one a prefix of the other, or a
+// small edit apart) and were never in a room at the same time. Names that look
+// like test accounts are suggested for "users.ignore".
+//
+// Names already merged by the config are compared as one, ignored names are left out.
+//
+// Usage: node aliases.js [--min-similarity 0.6]
+
+const { parseArgs } = require('util');
+const { getRooms } = require('./lib/config');
+const { openStorage } = require('./lib/storage');
+const { createNameResolver } = require('./lib/identity');
+
+const DEFAULT_MIN_SIMILARITY = 0.6;
+const TEST_ACCOUNT = /^test[\s_-]*\d*$/i;
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 0..1, case-insensitive; a shared prefix of 3+ letters counts for a lot
+// since people tend to shorten their names ("angie" / "angelina")
+function nameSimilarity(a, b) {
+  const x = a.toLowerCase();
+  const y = b.toLowerCase();
+  if (x === y) return 1;
+
+  const longer = Math.max(x.length, y.length);
+  const editScore = 1 - levenshtein(x, y) / longer;
+
+  let prefix = 0;
+  while (prefix < Math.min(x.length, y.length) && x[prefix] === y[prefix]) prefix++;
+  const prefixScore = prefix >= 3 ? 0.5 + 0.5 * prefix / longer : 0;
+
+  return Math.max(editScore, prefixScore);
+}
+
+// Per name: snapshot count, first/last sighting and the snapshots it was in
+// Names are resolved first, so names merged by the config count as one
+function collectSightings(storage, rooms, resolver) {
+  const names = {};
+
+  for (const room of rooms) {
+    for (const snapshot of storage.read(room.id, 'presence')) {
+      const slot = `${room.id}|${snapshot.timestamp}`;
+      for (const name of resolver.resolveNames(snapshot.users.split(';').filter(u => u))) {
+        if (!names[name]) {
+          names[name] = { snapshots: 0, firstSeen: snapshot.timestamp, lastSeen: snapshot.timestamp, slots: new Set() };
+        }
+        const n = names[name];
+        n.snapshots++;
+        if (snapshot.timestamp < n.firstSeen) n.firstSeen = snapshot.timestamp;
+        if (snapshot.timestamp > n.lastSeen) n.lastSeen = snapshot.timestamp;
+        n.slots.add(slot);
+      }
+    }
+  }
+
+  return names;
+}
+
+function preferredName(names, a, b) {
+  const [x, y] = [a.toLowerCase(), b.toLowerCase()];
+  if (x !== y && x.startsWith(y)) return a;
+  if (x !== y && y.startsWith(x)) return b;
+  if (names[a].snapshots !== names[b].snapshots) {
+    return names[a].snapshots > names[b].snapshots ? a : b;
+  }
+  return a.length >= b.length ? a : b;
+}
+
+function suggestAliases(names, minSimilarity) {
+  const candidates = Object.keys(names);
+  const suggestions = [];
+
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      const [a, b] = [candidates[i], candidates[j]];
+
+      const similarity = nameSimilarity(a, b);
+      if (similarity < minSimilarity) continue;
+
+      // Two names online together are two people
+      const [fewer, more] = names[a].slots.size <= names[b].slots.size ? [a, b] : [b, a];
+      const together = [...names[fewer].slots].some(slot => names[more].slots.has(slot));
+      if (together) continue;
+
+      // A truncated name gives way to the full one, otherwise the name seen
+      // most often becomes the canonical one
+      const [canonical, alias] = preferredName(names, a, b) === a ? [a, b] : [b, a];
+
+      const reasons = [a.toLowerCase() === b.toLowerCase() ? 'same name in another case' : `similarity ${similarity.toFixed(2)}`];
+      reasons.push('never online together');
+      if (names[alias].lastSeen < names[canonical].firstSeen || names[canonical].lastSeen < names[alias].firstSeen) {
+        reasons.push('seen in separate periods');
+      }
+
+      suggestions.push({ canonical, alias, similarity, reasons });
+    }
+  }
+
+  return suggestions.sort((x, y) => y.similarity - x.similarity || x.alias.localeCompare(y.alias));
+}
+
+// Fold pairwise suggestions into config form: every alias goes to one
+// canonical name, and a name never ends up as both
+function toAliasConfig(suggestions, resolver) {
+  const canonicalOf = {};
+  for (const { canonical, alias } of suggestions) {
+    // Don't chain weak links: "Tess" looking like "Jess" says nothing about "Jessica"
+    if (canonicalOf[canonical] || canonicalOf[alias] || Object.values(canonicalOf).includes(alias)) continue;
+    // Configured canonical names keep their place
+    if (resolver.identity.aliases[alias]) continue;
+    canonicalOf[alias] = canonical;
+  }
+
+  const aliases = JSON.parse(JSON.stringify(resolver.identity.aliases));
+  for (const [alias, canonical] of Object.entries(canonicalOf)) {
+    aliases[canonical] = [...(aliases[canonical] || []), alias].sort();
+  }
+  return aliases;
+}
+
+function main() {
+  const { values: args } = parseArgs({
+    options: {
+      'min-similarity': { type: 'string', default: String(DEFAULT_MIN_SIMILARITY) }
+    }
+  });
+  const minSimilarity = parseFloat(args['min-similarity']);
+  if (!(minSimilarity >= 0 && minSimilarity <= 1)) {
+    throw new Error(`Invalid --min-similarity "${args['min-similarity']}" (expected a number from 0 to 1)`);
+  }
+
+  const resolver = createNameResolver();
+  const storage = openStorage();
+  let names;
+  try {
+    names = collectSightings(storage, getRooms(), resolver);
+  } finally {
+    storage.close();
+  }
+  console.log(`Users seen: ${Object.keys(names).length} (after applying configured aliases)`);
+
+  const suggestions = suggestAliases(names, minSimilarity);
+  const testAccounts = Object.keys(names).filter(name => TEST_ACCOUNT.test(name)).sort();
+
+  if (suggestions.length === 0 && testAccounts.length === 0) {
+    console.log('\nNo likely duplicates found.');
+    return;
+  }
+
+  if (suggestions.length > 0) {
+    console.log('\n=== Possible duplicates ===');
+    for (const { canonical, alias, reasons } of suggestions) {
+      console.log(`${alias} -> ${canonical} (${names[alias].snapshots} vs ${names[canonical].snapshots} snapshots; ${reasons.join(', ')})`);
+    }
+  }
+
+  if (testAccounts.length > 0) {
+    console.log('\n=== Possible test accounts ===');
+    testAccounts.forEach(name => console.log(`${name} (${names[name].snapshots} snapshots)`));
+  }
+
+  // Suggestions are only hints - review before pasting into the config
+  const users = {
+    aliases: toAliasConfig(suggestions, resolver),
+    ignore: [...resolver.identity.ignore, ...testAccounts].sort()
+  };
+  console.log('\nReview, then copy what applies into cuckoo.config.json:');
+  console.log(JSON.stringify({ users }, null, 2));
+}
+
+module.exports = { nameSimilarity, collectSightings, suggestAliases, toAliasConfig };
+
+if (require.main === module) {
+  main();
+}
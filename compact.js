@@ -0,0 +1,200 @@
+// Raw Data Compaction
+// Keeps each room's activities.csv, presence.csv and snapshots.csv from growing forever:
+// - presence.csv: a run of consecutive rows with the same people in the room is
+//   collapsed to its first and last row. The leaderboard only acts on rows where
+//   someone appears or disappears, timed from the row just before, so the rows in
+//   between change nothing.
+// - Rows from months that ended more than archive.afterDays ago (config file,
+//   90 by default) move to data/rooms/<room>/archive/<YYYY-MM>/, with a
+//   summary.json of aggregates for the month (see lib/archive.js). The leaderboard
+//   reads the archives ahead of the live files, so its results don't change.
+//
+// The next incremental leaderboard run sees the files were rewritten and does a
+// full rebuild. Works on the CSV files; with SQLite storage there is nothing to do.
+//
+// Usage: node compact.js [--older-than <days>] [--now <ISO time>] [--dry-run]
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { CSV_HEADERS, getRooms, getRoomPaths, getStorageConfig, getArchiveConfig } = require('./lib/config');
+const { readCSV, formatCSVRow } = require('./lib/csv');
+const { ORDER_COLUMNS, getArchivePaths } = require('./lib/archive');
+const { extractTimerEvents, extractJoinEvents } = require('./leaderboard');
+
+const MONTH = /^\d{4}-\d\d$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Presence rows worth keeping: the first and last of each run of identical rows
+function collapsePresence(records) {
+  const key = r => r && `${r.user_count}|${r.users}`;
+  return records.filter((record, i) =>
+    key(record) !== key(records[i - 1]) || key(record) !== key(records[i + 1]));
+}
+
+// First month that stays live: the one `afterDays` before `now` is in (UTC)
+function firstLiveMonth(now, afterDays) {
+  return new Date(now.getTime() - afterDays * DAY_MS).toISOString().slice(0, 7);
+}
+
+// Split a file's records into per-month archives and the rows that stay live
+// Only a leading stretch of rows is archived, so the archives followed by the
+// live rows are the file as it was. A row counts towards the latest month seen
+// so far, which keeps an out-of-order row with the rows around it.
+function splitArchivable(kind, records, liveMonth) {
+  const column = ORDER_COLUMNS[kind];
+  const months = {};
+  let latest = '';
+  let archived = 0;
+
+  for (const record of records) {
+    if (record[column] > latest) latest = record[column];
+    const month = latest.slice(0, 7);
+    if (!MONTH.test(month) || month >= liveMonth) break;
+    (months[month] = months[month] || []).push(record);
+    archived++;
+  }
+
+  return { months, live: records.slice(archived) };
+}
+
+// Aggregates kept with an archived month, so it can be looked at without
+// reprocessing its rows. Names are as recorded (aliases are applied when read).
+function summarizeMonth(month, records) {
+  const users = {};
+  const userEntry = name => (users[name] = users[name] || { daysSeen: new Set(), joins: 0, timersStarted: 0 });
+  const presenceTimes = records.presence.map(r => r.timestamp).sort();
+
+  let peakUsers = 0;
+  for (const row of records.presence) {
+    const names = row.users.split(';').filter(u => u);
+    peakUsers = Math.max(peakUsers, names.length);
+    names.forEach(name => userEntry(name).daysSeen.add(row.timestamp.slice(0, 10)));
+  }
+  for (const [name, times] of Object.entries(extractJoinEvents(records.activities))) {
+    userEntry(name).joins += times.length;
+  }
+  const timers = extractTimerEvents(records.activities);
+  for (const timer of timers) {
+    userEntry(timer.startedBy).timersStarted++;
+  }
+
+  return {
+    month,
+    rows: Object.fromEntries(Object.keys(CSV_HEADERS).map(kind => [kind, records[kind].length])),
+    firstSnapshot: presenceTimes[0] || null,
+    lastSnapshot: presenceTimes[presenceTimes.length - 1] || null,
+    peakUsers,
+    timersStarted: {
+      work: timers.filter(t => t.type === 'work').length,
+      break: timers.filter(t => t.type === 'break').length
+    },
+    users: Object.fromEntries(Object.keys(users).sort().map(name => [name, {
+      daysSeen: users[name].daysSeen.size,
+      joins: users[name].joins,
+      timersStarted: users[name].timersStarted
+    }]))
+  };
+}
+
+// Replace a CSV file in one step, so a scraper appending to it never sees it half-written
+function writeCSVFile(file, kind, records) {
+  const headers = CSV_HEADERS[kind];
+  const temp = `${file}.tmp`;
+  fs.writeFileSync(temp, [headers, ...records.map(r => headers.map(h => r[h]))].map(formatCSVRow).join(''));
+  fs.renameSync(temp, file);
+}
+
+// Compact one room; returns what was (or with dryRun, would be) done:
+// { rows: { kind: [before, after] }, collapsed, archived: { month: { kind: count } } }
+function compactRoom(roomId, liveMonth, { dryRun = false } = {}) {
+  const paths = getRoomPaths(roomId);
+  const result = { rows: {}, collapsed: 0, archived: {} };
+  const live = {};
+  const archives = {};
+
+  for (const kind of Object.keys(CSV_HEADERS)) {
+    const records = readCSV(paths[kind]);
+    const kept = kind === 'presence' ? collapsePresence(records) : records;
+    result.collapsed += records.length - kept.length;
+
+    const split = splitArchivable(kind, kept, liveMonth);
+    live[kind] = split.live;
+    result.rows[kind] = [records.length, split.live.length];
+    for (const [month, rows] of Object.entries(split.months)) {
+      archives[month] = archives[month] || {};
+      archives[month][kind] = rows;
+      result.archived[month] = { ...result.archived[month], [kind]: rows.length };
+    }
+  }
+
+  if (dryRun) return result;
+
+  // Archives first: if this stops halfway, rows are duplicated rather than lost
+  for (const month of Object.keys(archives).sort()) {
+    const archivePaths = getArchivePaths(roomId, month);
+    fs.mkdirSync(archivePaths.dir, { recursive: true });
+
+    // A month archived before gets the new rows appended
+    const records = {};
+    for (const kind of Object.keys(CSV_HEADERS)) {
+      records[kind] = [...readCSV(archivePaths[kind]), ...(archives[month][kind] || [])];
+      if (kind === 'presence') records[kind] = collapsePresence(records[kind]);
+      writeCSVFile(archivePaths[kind], kind, records[kind]);
+    }
+    fs.writeFileSync(archivePaths.summary, JSON.stringify(summarizeMonth(month, records), null, 2));
+  }
+
+  for (const kind of Object.keys(CSV_HEADERS)) {
+    const [before, after] = result.rows[kind];
+    if (after !== before) writeCSVFile(paths[kind], kind, live[kind]);
+  }
+
+  return result;
+}
+
+function main() {
+  const { values: args } = parseArgs({
+    options: {
+      'older-than': { type: 'string' },
+      now: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+  const now = args.now ? new Date(args.now) : new Date();
+  if (isNaN(now)) {
+    throw new Error(`Invalid --now "${args.now}"`);
+  }
+  const afterDays = args['older-than'] !== undefined ? Number(args['older-than']) : getArchiveConfig().afterDays;
+  if (!Number.isFinite(afterDays) || afterDays < 0) {
+    throw new Error(`Invalid --older-than "${args['older-than']}" (expected a number of days)`);
+  }
+
+  if (getStorageConfig().backend !== 'csv') {
+    console.log('Storage is SQLite - nothing to compact (this works on the CSV files)');
+    return;
+  }
+
+  const liveMonth = firstLiveMonth(now, afterDays);
+  console.log(`Archiving months before ${liveMonth} (data older than ${afterDays} days)${args['dry-run'] ? ' - dry run' : ''}`);
+
+  for (const room of getRooms()) {
+    console.log(`\n=== Room: ${room.id} ===`);
+    const result = compactRoom(room.id, liveMonth, { dryRun: args['dry-run'] });
+
+    for (const [kind, [before, after]] of Object.entries(result.rows)) {
+      console.log(`${kind}.csv: ${before} rows -> ${after}`);
+    }
+    console.log(`Unchanged presence rows collapsed: ${result.collapsed}`);
+    for (const [month, counts] of Object.entries(result.archived).sort()) {
+      const parts = Object.keys(CSV_HEADERS).map(kind => `${counts[kind] || 0} ${kind}`);
+      console.log(`Archived ${month}: ${parts.join(', ')} -> ${path.relative(process.cwd(), getArchivePaths(room.id, month).dir)}`);
+    }
+  }
+}
+
+module.exports = { collapsePresence, firstLiveMonth, splitArchivable, summarizeMonth, compactRoom };
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,89 @@
+// Database Import/Export
+// Copies raw data between the per-room CSV files and the SQLite database, so the
+// CSV files (and the GitHub Pages flow built on them) keep working with either backend.
+//
+// Usage:
+//   node db.js import [--replace]   CSV files -> SQLite; rooms already in the database
+//                                   are skipped unless --replace is given
+//   node db.js export               SQLite -> CSV files (overwrites them)
+//
+// Rows already in a room's archives (see compact.js) are imported with the rest
+// but not exported again: the live files only get the rows after them.
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { CSV_HEADERS, getRooms, getRoomPaths, getStorageConfig } = require('./lib/config');
+const { formatCSVRow } = require('./lib/csv');
+const { createCSVStorage } = require('./lib/storage');
+const { ORDER_COLUMNS, archivedUntil } = require('./lib/archive');
+const { createSQLiteStorage } = require('./lib/sqlite-storage');
+
+const KINDS = Object.keys(CSV_HEADERS);
+
+function importRooms(db, csv, rooms, replace) {
+  for (const room of rooms) {
+    const existing = KINDS.reduce((sum, kind) => sum + db.readNew(room.id, kind).records.length, 0);
+    if (existing > 0 && !replace) {
+      console.log(`${room.id}: already has ${existing} rows in the database - skipped (use --replace to re-import)`);
+      continue;
+    }
+
+    for (const kind of KINDS) {
+      const records = csv.read(room.id, kind);
+      if (replace) db.clear(room.id, kind);
+      db.append(room.id, kind, records);
+      console.log(`${room.id}: imported ${records.length} ${kind} rows`);
+    }
+  }
+}
+
+function exportRooms(db, rooms) {
+  for (const room of rooms) {
+    const paths = getRoomPaths(room.id);
+    fs.mkdirSync(paths.dir, { recursive: true });
+    const until = archivedUntil(room.id);
+
+    for (const kind of KINDS) {
+      const headers = CSV_HEADERS[kind];
+      const records = db.read(room.id, kind).filter(r => !until || r[ORDER_COLUMNS[kind]] >= until);
+      const rows = [headers, ...records.map(r => headers.map(h => r[h]))];
+      fs.writeFileSync(paths[kind], rows.map(formatCSVRow).join(''));
+      console.log(`${room.id}: exported ${records.length} ${kind} rows to ${paths[kind]}`);
+    }
+  }
+}
+
+function main() {
+  const { values: args, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      replace: { type: 'boolean', default: false }
+    }
+  });
+  const command = positionals[0];
+  if (!['import', 'export'].includes(command)) {
+    console.error('Usage: node db.js import [--replace] | node db.js export');
+    process.exit(1);
+  }
+
+  const { dbPath } = getStorageConfig();
+  const rooms = getRooms();
+  const db = createSQLiteStorage(dbPath);
+  console.log(`Database: ${dbPath}\n`);
+
+  try {
+    if (command === 'import') {
+      importRooms(db, createCSVStorage(), rooms, args.replace);
+    } else {
+      exportRooms(db, rooms);
+    }
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = { importRooms, exportRooms };
+
+if (require.main === module) {
+  main();
+}
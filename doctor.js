@@ -0,0 +1,292 @@
+// Data Doctor
+// Checks every room's activities.csv, presence.csv and snapshots.csv, and those of
+// its archived months (see compact.js), for rows the leaderboard would misread,
+// and reports them by problem with their line numbers.
+//
+// With --out, writes a cleaned copy of the data files to <dir>/rooms/<room>/ -
+// problem rows dropped or fixed as listed below - plus <kind>.quarantine.csv with
+// the dropped rows. The originals are never modified; to use the cleaned copy, run
+// the leaderboard on it (CUCKOO_DATA_DIR=<dir>) and copy the files over.
+//
+// Works on the CSV files; with SQLite storage run `npm run db:export` first.
+// Exits with status 1 if any problem was found.
+//
+// Usage: node doctor.js [--out <dir>] [--now <ISO time>]
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { CSV_HEADERS, TIME_COLUMNS, getRooms, getRoomPaths, getStorageConfig, getScoringConfig } = require('./lib/config');
+const { parseCSVRows, formatCSVRow } = require('./lib/csv');
+const { getArchivePaths, listArchiveMonths } = require('./lib/archive');
+const { FEED_DELAY_MS, parseTimeAgo } = require('./lib/feed');
+const { DAY_MS } = require('./lib/timezone');
+
+const MAX_GAP_MS = getScoringConfig().maxGapMinutes * 60 * 1000;
+const ISO_TIME = /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d(\.\d{1,3})?Z$/;
+// Countdowns as leaderboard.js reads them: M:SS, MM:SS or H:MM:SS
+const TIMER_VALUE = /^\d+(:\d+)+$/;
+const TIMER_ZERO = /^0+(:0+)+$/;
+
+// Every problem the doctor knows, and what the cleaned copy does about it
+const PROBLEMS = {
+  malformed: { repair: 'drop', description: 'missing fields or unreadable values' },
+  future: { repair: 'drop', description: 'time later than the scrape or than now' },
+  'duplicate-time': { repair: 'drop', description: 'same timestamp as an earlier row' },
+  'out-of-order': { repair: 'fix', description: 'earlier than a row above it (sorted into place)' },
+  'count-mismatch': { repair: 'fix', description: 'user_count disagrees with the users list (recounted)' },
+  'duplicate-user': { repair: 'fix', description: 'same user listed twice (listed once)' },
+  'missed-users': { repair: 'drop', description: 'nobody seen, between two snapshots with the same people in them' },
+  'imprecise-time': { repair: 'drop', description: 'feed time only known to within a day ("2 days ago", "yesterday")' },
+  duplicate: { repair: 'drop', description: 'same user and action as a row up to 8 minutes earlier (re-scraped)' },
+  'timer-mismatch': { repair: 'fix', description: 'timer_running disagrees with timer_value (set from the value)' }
+};
+
+const isTime = value => ISO_TIME.test(value) && !isNaN(Date.parse(value));
+
+// Read a data file into rows: { line, record, problems }
+function loadRows(file, headers) {
+  if (!fs.existsSync(file)) return [];
+
+  const [header, ...rows] = parseCSVRows(fs.readFileSync(file, 'utf8'));
+  if (!header) return [];
+  if (header.values.map(h => h.trim()).join(',') !== headers.join(',')) {
+    throw new Error(`unexpected header "${header.values.join(',')}" (expected "${headers.join(',')}")`);
+  }
+
+  return rows.map(({ values, line }) => ({
+    line,
+    record: Object.fromEntries(headers.map((h, idx) => [h, values[idx] ?? ''])),
+    problems: values.length === headers.length ? [] : ['malformed']
+  }));
+}
+
+function addProblem(row, problem) {
+  if (!row.problems.includes(problem)) row.problems.push(problem);
+}
+
+function checkActivity(row, now) {
+  const { estimated_time: estimated, scrape_time: scraped, user, action } = row.record;
+  if (!isTime(estimated) || !isTime(scraped) || !user || !action) {
+    addProblem(row, 'malformed');
+    return;
+  }
+  if (estimated > scraped || Date.parse(scraped) > now.getTime()) addProblem(row, 'future');
+  if (parseTimeAgo(row.record.time_ago_raw)?.precisionMs >= DAY_MS) addProblem(row, 'imprecise-time');
+}
+
+function checkPresence(row, now) {
+  const { timestamp, user_count: count, users } = row.record;
+  if (!isTime(timestamp) || !/^\d+$/.test(count)) {
+    addProblem(row, 'malformed');
+    return;
+  }
+  if (Date.parse(timestamp) > now.getTime()) addProblem(row, 'future');
+
+  const names = users.split(';').filter(u => u);
+  if (new Set(names).size !== names.length) addProblem(row, 'duplicate-user');
+  if (parseInt(count) !== names.length) addProblem(row, 'count-mismatch');
+}
+
+function checkSnapshot(row, now) {
+  const { timestamp, timer_running: running, timer_value: value } = row.record;
+  if (!isTime(timestamp) || !['true', 'false'].includes(running) || !TIMER_VALUE.test(value)) {
+    addProblem(row, 'malformed');
+    return;
+  }
+  if (Date.parse(timestamp) > now.getTime()) addProblem(row, 'future');
+  if ((running === 'true') !== !TIMER_ZERO.test(value)) addProblem(row, 'timer-mismatch');
+}
+
+const ROW_CHECKS = { activities: checkActivity, presence: checkPresence, snapshots: checkSnapshot };
+
+// Checks across rows: ordering, repeated timestamps, repeated feed events and
+// empty presence snapshots the scraper probably got wrong
+function checkRows(kind, rows) {
+  const valid = rows.filter(row => !row.problems.includes('malformed'));
+
+  // Activities are appended per scrape, so they're ordered by scrape time
+  const orderColumn = kind === 'activities' ? 'scrape_time' : TIME_COLUMNS[kind];
+  let latest = '';
+  for (const row of valid) {
+    const time = row.record[orderColumn];
+    if (time < latest) addProblem(row, 'out-of-order');
+    if (time > latest) latest = time;
+  }
+
+  if (kind === 'activities') {
+    // A later scrape can date the same feed row a few minutes apart; the
+    // leaderboard counts a timer started again that soon once too
+    const kept = [];
+    const byTime = [...valid].sort((a, b) => a.record.estimated_time.localeCompare(b.record.estimated_time));
+    for (const row of byTime) {
+      const { estimated_time: time, user, action } = row.record;
+      const repeated = kept.some(earlier => earlier.record.user === user && earlier.record.action === action &&
+        Date.parse(time) - Date.parse(earlier.record.estimated_time) <= FEED_DELAY_MS);
+      if (repeated) addProblem(row, 'duplicate');
+      else kept.push(row);
+    }
+  } else {
+    const seen = new Set();
+    for (const row of valid) {
+      if (seen.has(row.record.timestamp)) addProblem(row, 'duplicate-time');
+      seen.add(row.record.timestamp);
+    }
+  }
+
+  if (kind === 'presence') {
+    const usersOf = row => row.record.users.split(';').filter(u => u);
+    const sorted = [...valid].sort((a, b) => a.record.timestamp.localeCompare(b.record.timestamp));
+    for (let i = 1; i < sorted.length - 1; i++) {
+      const [before, row, after] = [sorted[i - 1], sorted[i], sorted[i + 1]];
+      if (usersOf(row).length > 0) continue;
+      const gapMs = Date.parse(after.record.timestamp) - Date.parse(before.record.timestamp);
+      const stayed = usersOf(before).filter(u => usersOf(after).includes(u));
+      // Over a longer stretch everyone may really have left and come back
+      if (stayed.length > 0 && gapMs <= 2 * MAX_GAP_MS) addProblem(row, 'missed-users');
+    }
+  }
+}
+
+// Apply the fixes for a row's problems to a copy of its record
+function repairRecord(kind, row) {
+  const record = { ...row.record };
+  if (kind === 'presence' && row.problems.some(p => p === 'duplicate-user' || p === 'count-mismatch')) {
+    const names = [...new Set(record.users.split(';').filter(u => u))];
+    record.users = names.join(';');
+    record.user_count = String(names.length);
+  }
+  if (kind === 'snapshots' && row.problems.includes('timer-mismatch')) {
+    record.timer_running = String(!TIMER_ZERO.test(record.timer_value));
+  }
+  return record;
+}
+
+// Check one data file; returns { rows, problems: { problem: [line, ...] } }
+function checkFile(kind, file, now = new Date()) {
+  const rows = loadRows(file, CSV_HEADERS[kind]);
+  for (const row of rows) {
+    if (!row.problems.includes('malformed')) ROW_CHECKS[kind](row, now);
+  }
+  checkRows(kind, rows);
+
+  const problems = {};
+  for (const row of rows) {
+    for (const problem of row.problems) {
+      (problems[problem] = problems[problem] || []).push(row.line);
+    }
+  }
+  return { rows, problems };
+}
+
+// Cleaned rows (fixed and in order) and quarantined rows (dropped) of a checked file
+function cleanRows(kind, rows) {
+  const orderColumn = kind === 'activities' ? 'scrape_time' : TIME_COLUMNS[kind];
+  const dropped = row => row.problems.some(problem => PROBLEMS[problem].repair === 'drop');
+
+  const kept = rows
+    .filter(row => !dropped(row))
+    .map(row => repairRecord(kind, row))
+    .sort((a, b) => a[orderColumn].localeCompare(b[orderColumn]));
+  const quarantined = rows.filter(dropped);
+  return { kept, quarantined };
+}
+
+function writeCleanFiles(dir, kind, { kept, quarantined }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const headers = CSV_HEADERS[kind];
+
+  fs.writeFileSync(path.join(dir, `${kind}.csv`),
+    [headers, ...kept.map(r => headers.map(h => r[h]))].map(formatCSVRow).join(''));
+  fs.writeFileSync(path.join(dir, `${kind}.quarantine.csv`),
+    [['line', 'problems', ...headers], ...quarantined.map(row => [row.line, row.problems.join(';'), ...headers.map(h => row.record[h])])]
+      .map(formatCSVRow).join(''));
+}
+
+// A room's data files: the live ones, then each archived month's
+// ({ kind, file, dir }, dir relative to the room's directory)
+function listDataFiles(roomId) {
+  const kinds = Object.keys(CSV_HEADERS);
+  const live = kinds.map(kind => ({ kind, file: getRoomPaths(roomId)[kind], dir: '' }));
+  const archived = listArchiveMonths(roomId).flatMap(month => kinds
+    .map(kind => ({ kind, file: getArchivePaths(roomId, month)[kind], dir: path.join('archive', month) }))
+    .filter(({ file }) => fs.existsSync(file)));
+  return [...live, ...archived];
+}
+
+// "3, 7-9, 12"
+function formatLines(lines) {
+  const ranges = [];
+  for (const line of [...lines].sort((a, b) => a - b)) {
+    const last = ranges[ranges.length - 1];
+    if (last && line === last[1] + 1) {
+      last[1] = line;
+    } else {
+      ranges.push([line, line]);
+    }
+  }
+  return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join(', ');
+}
+
+function main() {
+  const { values: args } = parseArgs({
+    options: {
+      out: { type: 'string' },
+      now: { type: 'string' }
+    }
+  });
+  const now = args.now ? new Date(args.now) : new Date();
+  if (isNaN(now)) {
+    throw new Error(`Invalid --now "${args.now}"`);
+  }
+  const outDir = args.out && path.resolve(args.out);
+
+  if (getStorageConfig().backend !== 'csv') {
+    console.log('Note: storage is SQLite - checking the CSV files (run `npm run db:export` to refresh them)');
+  }
+
+  let total = 0;
+  for (const room of getRooms()) {
+    console.log(`\n=== Room: ${room.id} ===`);
+
+    for (const { kind, file, dir } of listDataFiles(room.id)) {
+      const name = path.join(dir, path.basename(file));
+      let result;
+      try {
+        result = checkFile(kind, file, now);
+      } catch (err) {
+        console.log(`${name}: could not be read - ${err.message}`);
+        total++;
+        continue;
+      }
+
+      const found = Object.entries(result.problems);
+      const affected = result.rows.filter(row => row.problems.length > 0).length;
+      total += affected;
+      console.log(`${name}: ${result.rows.length} rows, ${found.length === 0 ? 'no problems' : `${affected} with problems`}`);
+      for (const [problem, lines] of found) {
+        const { repair, description } = PROBLEMS[problem];
+        console.log(`  ${problem} (${lines.length}, ${repair === 'drop' ? 'dropped' : 'fixed'}): ${description}`);
+        console.log(`    lines ${formatLines(lines)}`);
+      }
+
+      if (outDir) {
+        const cleaned = cleanRows(kind, result.rows);
+        writeCleanFiles(path.join(outDir, 'rooms', room.id, dir), kind, cleaned);
+        console.log(`  -> ${cleaned.kept.length} rows kept, ${cleaned.quarantined.length} quarantined`);
+      }
+    }
+  }
+
+  console.log(total === 0 ? '\nNo problems found.' : `\n${total} row(s) with problems.`);
+  if (outDir) {
+    console.log(`Cleaned copy written to: ${outDir}`);
+  }
+  if (total > 0) process.exitCode = 1;
+}
+
+module.exports = { PROBLEMS, checkFile, cleanRows, formatLines };
+
+if (require.main === module) {
+  main();
+}
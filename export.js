@@ -0,0 +1,355 @@
+// Data Export
+// Writes the stats computed by leaderboard.js (data/leaderboard.json, the room
+// leaderboards and the user profiles) in other formats, to data/export/:
+// - leaderboard.csv: every ranking (all time, today, this week, this month), one row per user
+// - sessions.csv: every user's presence sessions
+// - leaderboard.md: the rankings as Markdown tables
+// - calendars/<user>.ics: an iCalendar feed of the work sessions each user was counted for
+// - metrics.prom: room gauges in the Prometheus / OpenMetrics text format
+//
+// Nothing is recomputed, so run the leaderboard first.
+//
+// Usage: node export.js [--out <dir>] [--format csv|markdown|ics|metrics ...]
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { DATA_DIR, USERS_DIR, getRoomPaths, getProfileFileName } = require('./lib/config');
+const { formatCSVRow } = require('./lib/csv');
+const { createTimeZone } = require('./lib/timezone');
+const { formatDuration } = require('./leaderboard');
+
+const LEADERBOARD_PATH = path.join(DATA_DIR, 'leaderboard.json');
+const DEFAULT_OUT_DIR = path.join(DATA_DIR, 'export');
+const FORMATS = ['csv', 'markdown', 'ics', 'metrics'];
+const MARKDOWN_RECENT_TIMERS = 10;
+
+const PERIOD_TITLES = {
+  today: 'Today',
+  week: 'This Week',
+  month: 'This Month',
+  custom: 'Custom Range'
+};
+
+const RANKING_NAMES = {
+  presence: 'presence time',
+  work: 'work time',
+  pomodoros: 'pomodoros',
+  points: 'points'
+};
+
+// Rankings in a leaderboard: all time first, then its periods
+function rankings(board) {
+  return [
+    { period: 'all', label: 'all time', users: board.users },
+    ...Object.entries(board.periods || {}).map(([period, p]) => ({ period, label: p.label, users: p.users }))
+  ];
+}
+
+const LEADERBOARD_COLUMNS = [
+  ['period', (u, r) => r.period],
+  ['label', (u, r) => r.label],
+  ['rank', (u, r, i) => i + 1],
+  ['user', u => u.user],
+  ['presence_minutes', u => u.totalPresenceMinutes],
+  ['conservative_presence_minutes', u => u.conservativePresenceMinutes],
+  ['presence_uncertainty_minutes', u => u.presenceUncertaintyMinutes],
+  ['work_minutes', u => u.totalWorkMinutes],
+  ['break_minutes', u => u.totalBreakMinutes],
+  ['pomodoros', u => u.pomodoroCount],
+  ['completed_pomodoros', u => u.completedPomodoros],
+  ['breaks', u => u.breakCount],
+  ['timers_started', u => u.timersStarted],
+  ['full_sessions', u => u.fullSessions],
+  ['points', u => u.points],
+  ['active_days', u => u.activeDays],
+  ['current_streak', u => u.currentStreak],
+  ['longest_streak', u => u.longestStreak],
+  ['first_seen', u => u.firstSeen],
+  ['last_seen', u => u.lastSeen],
+  ['rooms', u => (u.rooms || []).join(';')]
+];
+
+function leaderboardCSV(board) {
+  const rows = [LEADERBOARD_COLUMNS.map(([name]) => name)];
+  for (const ranking of rankings(board)) {
+    ranking.users.forEach((u, i) => rows.push(LEADERBOARD_COLUMNS.map(([, value]) => value(u, ranking, i))));
+  }
+  return rows.map(formatCSVRow).join('');
+}
+
+function sessionsCSV(profiles) {
+  const rows = [['user', 'room', 'join_time', 'leave_time', 'minutes']];
+  for (const profile of profiles) {
+    for (const s of profile.sessions) {
+      rows.push([profile.user, s.room, s.joinTime, s.leaveTime, s.minutes]);
+    }
+  }
+  return rows.map(formatCSVRow).join('');
+}
+
+// Table cells can't contain pipes or line breaks
+const cell = value => String(value ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+function markdownTable(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `|${headers.map(() => '---').join('|')}|`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+  ].join('\n');
+}
+
+function leaderboardMarkdown(board) {
+  const zone = createTimeZone(board.timezone || 'UTC');
+  const formatTime = (iso) => {
+    const p = zone.parts(new Date(iso));
+    return `${zone.dayKey(new Date(iso))} ${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+  };
+  const roomNames = Object.fromEntries((board.rooms || []).map(r => [r.id, r.name]));
+  const withPoints = board.users.some(u => u.points !== undefined);
+
+  const lines = [
+    '# Cuckoo Leaderboard',
+    '',
+    `*Generated ${formatTime(board.generated)} (${zone.name}), ranked by ${RANKING_NAMES[board.scoring?.rankBy] || 'presence time'}*`,
+    '',
+    `${board.totalUsers} users, ${board.totalPomodoros} pomodoros (${board.completedPomodoros} completed), ${formatDuration(board.totalWorkMinutes)} of work` +
+      ` - currently present: ${board.currentlyPresent.length > 0 ? board.currentlyPresent.join(', ') : 'nobody'}`,
+    ''
+  ];
+
+  if ((board.rooms || []).length > 1) {
+    lines.push('## Rooms', '', markdownTable(['Room', 'Users', 'Pomodoros', 'Present'],
+      board.rooms.map(r => [r.name, r.totalUsers, r.totalPomodoros, r.currentlyPresent.length])), '');
+  }
+
+  lines.push('## All Time', '', markdownTable(
+    ['Rank', 'User', 'Presence', 'Work', 'Pomodoros', ...(withPoints ? ['Points'] : []), 'Active Days', 'Longest Streak', 'First Seen'],
+    board.users.map((u, i) => [
+      i + 1, u.user, formatDuration(u.totalPresenceMinutes), formatDuration(u.totalWorkMinutes), u.pomodoroCount,
+      ...(withPoints ? [u.points] : []), u.activeDays, u.longestStreak, zone.dayKey(new Date(u.firstSeen))
+    ])
+  ), '');
+
+  for (const [period, p] of Object.entries(board.periods || {})) {
+    lines.push(`## ${PERIOD_TITLES[period] || period} (${p.label})`, '');
+    lines.push(p.users.length === 0 ? '*Nobody yet.*' : markdownTable(
+      ['Rank', 'User', 'Presence', 'Work', 'Pomodoros', ...(withPoints ? ['Points'] : [])],
+      p.users.map((u, i) => [
+        i + 1, u.user, formatDuration(u.totalPresenceMinutes), formatDuration(u.totalWorkMinutes), u.pomodoroCount,
+        ...(withPoints ? [u.points] : [])
+      ])
+    ), '');
+  }
+
+  const recent = board.activityLog.filter(a => a.type === 'work').slice(0, MARKDOWN_RECENT_TIMERS);
+  if (recent.length > 0) {
+    lines.push('## Recent Work Sessions', '', markdownTable(
+      ['Start', 'Length', 'Room', 'Started By', 'Participants'],
+      recent.map(a => [formatTime(a.time), `${a.duration}m`, roomNames[a.room] || a.room, a.startedBy, a.participants.join(', ')])
+    ), '');
+  }
+
+  return lines.join('\n');
+}
+
+// Escape a TEXT value (RFC 5545 section 3.3.11)
+function icsText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// 2026-01-05T09:00:00.000Z -> 20260105T090000Z
+function icsTime(iso) {
+  return new Date(iso).toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+}
+
+// Fold a content line to at most 75 octets per line, without splitting a character
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their 75
+    if (octets + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// A user's work sessions: the work timers they were counted for
+function userCalendar(board, user) {
+  const roomNames = Object.fromEntries((board.rooms || []).map(r => [r.id, r.name]));
+  const uidSuffix = getProfileFileName(user).replace(/\.json$/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//cuckoo-tracker//export//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${icsText(`${user} - work sessions`)}`
+  ];
+
+  const sessions = board.activityLog
+    .filter(a => a.type === 'work' && a.participants.includes(user))
+    .sort((a, b) => a.time.localeCompare(b.time));
+  for (const a of sessions) {
+    const others = a.participants.filter(p => p !== user);
+    // Timers seen on the timer but missing from the feed have no starter
+    const origin = a.startedBy ? `Started by ${a.startedBy}.` : 'Seen on the timer, not in the activity feed.';
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${a.room}-${icsTime(a.time)}-${uidSuffix}@cuckoo-tracker`,
+      `DTSTAMP:${icsTime(board.generated)}`,
+      `DTSTART:${icsTime(a.time)}`,
+      `DTEND:${icsTime(a.endTime)}`,
+      `SUMMARY:${icsText(`Pomodoro (${a.duration} min)`)}`,
+      `LOCATION:${icsText(roomNames[a.room] || a.room)}`,
+      `DESCRIPTION:${icsText(origin + (others.length > 0 ? ` With ${others.join(', ')}.` : ''))}`,
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+const labelValue = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+// Room gauges from each room's leaderboard; `roomBoards` maps room id -> board
+function roomMetrics(board, roomBoards) {
+  const metrics = [];
+  const gauge = (name, help, samples) => metrics.push({ name, help, samples });
+
+  gauge('cuckoo_leaderboard_generated_timestamp_seconds', 'When the leaderboard was generated.',
+    [[{}, Date.parse(board.generated) / 1000]]);
+
+  const rooms = board.rooms || [];
+  const perRoom = value => rooms.map(r => [{ room: r.id }, value(r, roomBoards[r.id])]);
+  const perPeriod = value => rooms.flatMap(r => Object.entries(roomBoards[r.id]?.periods || {})
+    .map(([period, p]) => [{ room: r.id, period }, value(p)]));
+
+  gauge('cuckoo_room_present_users', 'Users in the room at the latest presence snapshot.', perRoom(r => r.currentlyPresent.length));
+  gauge('cuckoo_room_users', 'Users ever seen in the room.', perRoom(r => r.totalUsers));
+  gauge('cuckoo_room_pomodoros', 'Pomodoros counted in the room, all time.', perRoom(r => r.totalPomodoros));
+  gauge('cuckoo_room_work_minutes', 'Minutes of work in the room, all time, summed over users.', perRoom((r, b) => Math.round(b?.totalWorkMinutes ?? 0)));
+  gauge('cuckoo_room_sessions', 'Presence sessions in the room, all time.', perRoom((r, b) => b?.analytics?.sessions ?? 0));
+  gauge('cuckoo_room_average_session_minutes', 'Average length of a presence session in the room.',
+    perRoom((r, b) => b?.analytics?.averageSessionMinutes ?? 0));
+  gauge('cuckoo_room_period_users', 'Users seen in the room in the current period (today, week, month).', perPeriod(p => p.totalUsers));
+  gauge('cuckoo_room_period_pomodoros', 'Pomodoros counted in the room in the current period.', perPeriod(p => p.totalPomodoros));
+
+  const lines = [];
+  for (const { name, help, samples } of metrics) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+    for (const [labels, value] of samples) {
+      const entries = Object.entries(labels);
+      const labelText = entries.length > 0 ? `{${entries.map(([k, v]) => `${k}="${labelValue(v)}"`).join(',')}}` : '';
+      lines.push(`${name}${labelText} ${value}`);
+    }
+  }
+  lines.push('# EOF');
+  return lines.join('\n') + '\n';
+}
+
+function readJSON(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Write the chosen formats to `outDir`; returns the paths written
+function exportAll(outDir, formats = FORMATS) {
+  if (!fs.existsSync(LEADERBOARD_PATH)) {
+    throw new Error(`${LEADERBOARD_PATH} not found - run \`npm run leaderboard\` first`);
+  }
+  const board = readJSON(LEADERBOARD_PATH);
+  const profiles = board.users
+    .map(u => path.join(USERS_DIR, getProfileFileName(u.user)))
+    .filter(file => fs.existsSync(file))
+    .map(readJSON);
+
+  fs.mkdirSync(outDir, { recursive: true });
+  const written = [];
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+    written.push(file);
+  };
+
+  if (formats.includes('csv')) {
+    write(path.join(outDir, 'leaderboard.csv'), leaderboardCSV(board));
+    write(path.join(outDir, 'sessions.csv'), sessionsCSV(profiles));
+  }
+
+  if (formats.includes('markdown')) {
+    write(path.join(outDir, 'leaderboard.md'), leaderboardMarkdown(board));
+  }
+
+  if (formats.includes('ics')) {
+    const calendarDir = path.join(outDir, 'calendars');
+    const names = new Set();
+    for (const u of board.users) {
+      const name = getProfileFileName(u.user).replace(/\.json$/, '.ics');
+      write(path.join(calendarDir, name), userCalendar(board, u.user));
+      names.add(name);
+    }
+    // Users no longer on the leaderboard (e.g. merged by an alias)
+    for (const name of fs.readdirSync(calendarDir)) {
+      if (name.endsWith('.ics') && !names.has(name)) fs.unlinkSync(path.join(calendarDir, name));
+    }
+  }
+
+  if (formats.includes('metrics')) {
+    const roomBoards = {};
+    for (const room of board.rooms || []) {
+      const file = getRoomPaths(room.id).leaderboard;
+      if (fs.existsSync(file)) roomBoards[room.id] = readJSON(file);
+    }
+    write(path.join(outDir, 'metrics.prom'), roomMetrics(board, roomBoards));
+  }
+
+  return written;
+}
+
+function main() {
+  const { values: args } = parseArgs({
+    options: {
+      out: { type: 'string' },
+      format: { type: 'string', multiple: true }
+    }
+  });
+  const formats = args.format || FORMATS;
+  for (const format of formats) {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown format: "${format}" (expected ${FORMATS.join(', ')})`);
+    }
+  }
+  const outDir = args.out ? path.resolve(args.out) : DEFAULT_OUT_DIR;
+
+  const written = exportAll(outDir, formats);
+  const calendars = written.filter(file => file.endsWith('.ics')).length;
+  for (const file of written.filter(file => !file.endsWith('.ics'))) {
+    console.log(`Written: ${path.relative(process.cwd(), file)}`);
+  }
+  if (calendars > 0) {
+    console.log(`Written: ${calendars} calendar(s) in ${path.relative(process.cwd(), path.join(outDir, 'calendars'))}`);
+  }
+}
+
+module.exports = {
+  leaderboardCSV,
+  sessionsCSV,
+  leaderboardMarkdown,
+  userCalendar,
+  roomMetrics,
+  foldLine,
+  exportAll
+};
+
+if (require.main === module) {
+  main();
+}
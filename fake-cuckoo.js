@@ -0,0 +1,335 @@
+// Fake Cuckoo Server
+// A local stand-in for cuckoo.team, so scraper.js can be run end to end
+// without network. Serves room pages with the markup the scraper reads (team
+// avatars and the activity feed) and pushes the Socket.IO events it listens to
+// ("update users", "update timer", "update activity", "update settings").
+//
+// What happens in each room comes from a scenario file (see scenarios/):
+//   rooms: { <roomId>: { users, feed: [{ user, action, ago }], timer: { type, minutes, remaining } } }
+//   steps: [{ at, room, join | leave | start (+ minutes) | stop | pause | resume | skip | activity | disconnect, by }]
+// "at" is seconds after the scenario starts, "ago" and "remaining" are seconds.
+// Rooms not in the scenario are served empty, like a new room on cuckoo.team.
+//
+// Usage: node fake-cuckoo.js [--scenario scenarios/basic.json] [--port 4100] [--exit]
+// then point the scraper at it:
+//   CUCKOO_BASE_URL=http://localhost:4100 CUCKOO_ROOM=FakeRoom npm run listen
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { parseArgs } = require('util');
+const { Server } = require('socket.io');
+
+const DEFAULT_SCENARIO = path.join(__dirname, 'scenarios', 'basic.json');
+const DEFAULT_PORT = 4100;
+const FEED_LENGTH = 50;
+const TICK_MS = 1000;
+
+// Cuckoo's session types as sent in "update settings" / "update activity"
+const SESSION_TYPES = { work: 'work', break: 'breakTime' };
+const STEP_ACTIONS = ['join', 'leave', 'start', 'stop', 'pause', 'resume', 'skip', 'activity', 'disconnect'];
+
+// Load and check a scenario file
+function loadScenario(file) {
+  let scenario;
+  try {
+    scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read scenario ${file}: ${err.message}`);
+  }
+  validateScenario(scenario);
+  return scenario;
+}
+
+function validateScenario(scenario) {
+  const roomIds = Object.keys(scenario.rooms || {});
+  for (const roomId of roomIds) {
+    const timer = scenario.rooms[roomId].timer;
+    if (timer && !SESSION_TYPES[timer.type]) {
+      throw new Error(`Room ${roomId}: unknown timer type "${timer.type}" (expected "work" or "break")`);
+    }
+  }
+
+  (scenario.steps || []).forEach((step, idx) => {
+    const actions = STEP_ACTIONS.filter(action => step[action] !== undefined);
+    if (actions.length !== 1) {
+      throw new Error(`Step ${idx + 1}: expected exactly one of ${STEP_ACTIONS.join(', ')}`);
+    }
+    if (!(step.at >= 0)) {
+      throw new Error(`Step ${idx + 1}: "at" must be a number of seconds`);
+    }
+    if (!step.room && roomIds.length !== 1) {
+      throw new Error(`Step ${idx + 1}: "room" is required when the scenario has ${roomIds.length} rooms`);
+    }
+    if (step.start !== undefined && !SESSION_TYPES[step.start]) {
+      throw new Error(`Step ${idx + 1}: unknown timer type "${step.start}" (expected "work" or "break")`);
+    }
+  });
+}
+
+function createRoom(initial = {}, now = Date.now()) {
+  const room = {
+    users: [...(initial.users || [])],
+    // Newest first, as on the page
+    feed: (initial.feed || [])
+      .map(item => ({ user: item.user, action: item.action, time: now - (item.ago || 0) * 1000 }))
+      .sort((a, b) => b.time - a.time),
+    timer: null,
+    sockets: new Set()
+  };
+
+  if (initial.timer) {
+    const { type, minutes = 25 } = initial.timer;
+    const remaining = initial.timer.remaining ?? minutes * 60;
+    room.timer = { type, minutes, endsAt: now + remaining * 1000, pausedMs: null };
+  }
+  return room;
+}
+
+// "25 minute work session" / "5 minute break" as the feed words it
+function sessionName(type) {
+  return type === 'work' ? 'work session' : 'break';
+}
+
+function formatTimeAgo(ms) {
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 5) return 'just now';
+  if (seconds < 60) return `${seconds} sec ago`;
+  if (seconds < 60 * 60) return `${Math.floor(seconds / 60)} min ago`;
+  if (seconds < 24 * 60 * 60) return `${Math.floor(seconds / 3600)} hours ago`;
+  return `${Math.floor(seconds / 86400)} days ago`;
+}
+
+function remainingMs(timer, now = Date.now()) {
+  if (!timer) return 0;
+  return timer.pausedMs ?? Math.max(0, timer.endsAt - now);
+}
+
+function timerPayload(timer, now = Date.now()) {
+  const current = Math.ceil(remainingMs(timer, now) / 1000);
+  const mm = String(Math.floor(current / 60)).padStart(2, '0');
+  const ss = String(current % 60).padStart(2, '0');
+  return { current, currentFormatted: `${mm}:${ss}` };
+}
+
+function sessionsPayload(timer) {
+  return { currentType: timer ? SESSION_TYPES[timer.type] : 'work' };
+}
+
+function usersPayload(users) {
+  return users.map(fullName => ({ fullName }));
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Room page with the same selectors as cuckoo.team: avatars in .js-team__list,
+// feed items in .js-activity with the action as the first text of .activity__info
+function renderRoomPage(roomId, room, now = Date.now()) {
+  const avatars = room.users
+    .map(user => `      <li class="team__member"><img class="avatar__image" data-fullname="${escapeHtml(user)}" alt="${escapeHtml(user)}"></li>`)
+    .join('\n');
+  const items = room.feed
+    .map(item => `      <div class="activity__item">
+        <img class="avatar__image" data-fullname="${escapeHtml(item.user)}" alt="">
+        <div class="activity__info">${escapeHtml(item.action)}<span class="activity__time">${formatTimeAgo(now - item.time)}</span></div>
+      </div>`)
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(roomId)} - Fake Cuckoo</title></head>
+<body>
+  <div class="timer">${timerPayload(room.timer, now).currentFormatted}</div>
+  <div class="team">
+    <ul class="team__list js-team__list">
+${avatars}
+    </ul>
+  </div>
+  <div class="activity js-activity">
+${items}
+  </div>
+</body>
+</html>
+`;
+}
+
+// Start the server; the scenario's steps only run once play() is called
+// Resolves to { url, rooms, play, close }
+async function startFakeCuckoo({ scenario = { rooms: {}, steps: [] }, port = 0, log = console.log } = {}) {
+  validateScenario(scenario);
+
+  const startTime = Date.now();
+  const rooms = {};
+  for (const [roomId, initial] of Object.entries(scenario.rooms || {})) {
+    rooms[roomId] = createRoom(initial, startTime);
+  }
+  const getRoom = (roomId) => {
+    if (!rooms[roomId]) rooms[roomId] = createRoom();
+    return rooms[roomId];
+  };
+
+  const httpServer = http.createServer((req, res) => {
+    const roomId = new URL(req.url, 'http://localhost').pathname.slice(1);
+    if (req.method !== 'GET' || !/^[\w-]+$/.test(roomId)) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found\n');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(renderRoomPage(roomId, getRoom(roomId)));
+  });
+
+  const io = new Server(httpServer);
+  const emit = (room, event, data) => room.sockets.forEach(socket => socket.emit(event, data));
+
+  // Each room is its own namespace, like cuckoo.team/<roomId>
+  io.of(/^\/[\w-]+$/).on('connection', (socket) => {
+    const room = getRoom(socket.nsp.name.slice(1));
+    room.sockets.add(socket);
+    socket.on('disconnect', () => room.sockets.delete(socket));
+
+    socket.emit('update settings', { sessions: sessionsPayload(room.timer) });
+    socket.emit('update timer', timerPayload(room.timer));
+    socket.emit('update users', usersPayload(room.users));
+  });
+
+  // Running timers count down once a second
+  const ticker = setInterval(() => {
+    const now = Date.now();
+    for (const room of Object.values(rooms)) {
+      if (!room.timer || room.timer.pausedMs !== null) continue;
+      emit(room, 'update timer', timerPayload(room.timer, now));
+      if (remainingMs(room.timer, now) === 0) room.timer = null;
+    }
+  }, TICK_MS);
+
+  const addFeedItem = (room, user, action) => {
+    room.feed.unshift({ user, action, time: Date.now() });
+    room.feed.length = Math.min(room.feed.length, FEED_LENGTH);
+  };
+
+  const runStep = (step) => {
+    const roomId = step.room || Object.keys(scenario.rooms)[0];
+    const room = getRoom(roomId);
+    const by = step.by || room.users[0] || 'cuckoo';
+    const now = Date.now();
+
+    if (step.join !== undefined) {
+      if (!room.users.includes(step.join)) room.users.push(step.join);
+      addFeedItem(room, step.join, 'joined this cuckoo');
+      emit(room, 'update users', usersPayload(room.users));
+      log(`[${roomId}] ${step.join} joined`);
+    } else if (step.leave !== undefined) {
+      // Leaving doesn't show in the feed
+      room.users = room.users.filter(user => user !== step.leave);
+      emit(room, 'update users', usersPayload(room.users));
+      log(`[${roomId}] ${step.leave} left`);
+    } else if (step.start !== undefined) {
+      const minutes = step.minutes || (step.start === 'work' ? 25 : 5);
+      room.timer = { type: step.start, minutes, endsAt: now + minutes * 60 * 1000, pausedMs: null };
+      addFeedItem(room, by, `started a ${minutes} minute ${sessionName(step.start)}`);
+      emit(room, 'update settings', { sessions: sessionsPayload(room.timer) });
+      emit(room, 'update activity', { timer: timerPayload(room.timer, now), sessions: sessionsPayload(room.timer) });
+      log(`[${roomId}] ${by} started a ${minutes} minute ${sessionName(step.start)}`);
+    } else if (step.activity !== undefined) {
+      addFeedItem(room, step.activity.user, step.activity.action);
+      log(`[${roomId}] ${step.activity.user} ${step.activity.action}`);
+    } else if (step.disconnect !== undefined) {
+      const count = room.sockets.size;
+      room.sockets.forEach(socket => socket.disconnect(true));
+      log(`[${roomId}] Disconnected ${count} client(s)`);
+    } else if (!room.timer) {
+      log(`[${roomId}] No timer to ${STEP_ACTIONS.find(action => step[action] !== undefined)}, step skipped`);
+    } else {
+      const name = sessionName(room.timer.type);
+      if (step.stop !== undefined || step.skip !== undefined) {
+        addFeedItem(room, by, step.stop !== undefined ? `stopped the current ${name}` : `skipped the ${name}`);
+        room.timer = null;
+      } else if (step.pause !== undefined) {
+        addFeedItem(room, by, `paused the current ${name}`);
+        room.timer.pausedMs = remainingMs(room.timer, now);
+      } else {
+        addFeedItem(room, by, `resumed the current ${name}`);
+        room.timer.endsAt = now + remainingMs(room.timer, now);
+        room.timer.pausedMs = null;
+      }
+      emit(room, 'update activity', { timer: timerPayload(room.timer, now), sessions: sessionsPayload(room.timer) });
+      log(`[${roomId}] ${by} ${room.feed[0].action}`);
+    }
+  };
+
+  const timeouts = [];
+  let playing = null;
+
+  // Run the steps on their schedule; resolves after the last one
+  const play = () => {
+    if (!playing) {
+      const steps = [...(scenario.steps || [])].sort((a, b) => a.at - b.at);
+      playing = Promise.all(steps.map(step => new Promise((resolve) => {
+        timeouts.push(setTimeout(() => {
+          runStep(step);
+          resolve();
+        }, step.at * 1000));
+      })));
+    }
+    return playing;
+  };
+
+  const close = () => new Promise((resolve) => {
+    timeouts.forEach(clearTimeout);
+    clearInterval(ticker);
+    io.close(() => resolve());
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, '127.0.0.1', resolve);
+  });
+
+  return { url: `http://localhost:${httpServer.address().port}`, rooms, play, close };
+}
+
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      scenario: { type: 'string', default: DEFAULT_SCENARIO },
+      port: { type: 'string', default: String(process.env.PORT || DEFAULT_PORT) },
+      exit: { type: 'boolean', default: false }
+    }
+  });
+
+  const log = (message) => console.log(`[${new Date().toISOString()}] ${message}`);
+  const scenario = loadScenario(args.scenario);
+  const server = await startFakeCuckoo({ scenario, port: parseInt(args.port), log });
+
+  console.log(`\n=== Fake Cuckoo - ${server.url} ===\n`);
+  console.log(`Scenario: ${path.relative(process.cwd(), args.scenario)}`);
+  console.log(`Rooms: ${Object.keys(server.rooms).join(', ') || 'none'}`);
+  console.log(`\nCUCKOO_BASE_URL=${server.url} CUCKOO_ROOM=${Object.keys(server.rooms)[0] || '<room>'} npm run listen\n`);
+
+  const shutdown = async () => {
+    await server.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  await server.play();
+  log('Scenario finished');
+  if (args.exit) await shutdown();
+}
+
+module.exports = { loadScenario, startFakeCuckoo, renderRoomPage, formatTimeAgo };
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Fake Cuckoo failed:', err.message);
+    process.exit(1);
+  });
+}
@@ -2,209 +2,459 @@
 // Processes presence snapshots + activity feed into user stats
 //
 // Algorithm:
-// - Timer attribution: +1 count if present at timer start OR joined within 5 min
+// - Timer attribution: +1 count if present at timer start OR joined within the
+//   grace period (5 min)
 // - Work/break time: Only actual overlap between presence and timer running
 // - Join time: Activity feed "joined" (precise) or assume right after last snapshot
 // - Leave time: Just before disappearance snapshot, or after last timer ended
 // - Gap protection: Cap assumed presence if >30 min between snapshots
+// - Presence bounds: the join/leave times above are the generous bound, used for
+//   scoring; a conservative bound (feed join or first snapshot to last snapshot
+//   showing the user) is reported next to it, the difference as uncertainty
+// - Ranking: by presence time, work time, pomodoros or points
+//   (grace period, gap and ranking come from the config file "scoring" section)
+// - Timer snapshots: the remaining-time countdown corrects feed start times,
+//   adds timers the feed missed and exposes coarse duplicate feed rows
+// - Timer outcomes: a timer ends early when the next one starts or a snapshot
+//   sees the timer stopped; each is completed, interrupted, abandoned (nobody
+//   there at the end) or running. Completed pomodoros are reported separately.
+// - Streaks: consecutive days with at least one attributed pomodoro
+// - Days, weeks, months and hours of the day: in the reporting timezone (config
+//   file "timezone", UTC by default); times are stored in UTC
+// - Identity: aliases from the config file merge display names into one user,
+//   ignored names (test accounts) are dropped from presence
+//
+// Feed messages are read with the grammar in lib/feed.js; any it doesn't know are
+// listed in the room's unknown_actions.json.
+//
+// Each room gets its own leaderboard; data/leaderboard.json combines all rooms.
+// Per-user profile pages (sessions, daily/hourly activity, co-workers) are
+// written to data/users/, one file per user. A co-working graph (shared work
+// minutes and pomodoros per pair of users, recurring groups) shows who works
+// with whom, and room analytics (occupancy by weekday and hour, daily visitors
+// and pomodoros) show when the room is busiest. Webhooks configured under
+// "notifications" are sent what changed since the previous leaderboard.json.
+//
+// Each run records the day's all-time standings in rank_history.json (next to
+// each leaderboard, see lib/history.js) and marks every user's rank on the last
+// day they changed, for the dashboard's rank arrows and per-user rank chart.
+// --rebuild-history recomputes the history from all recorded data first.
+// --as-of <time> builds the leaderboard from only the data recorded by then and
+// saves it to data/as-of/, leaving the current one alone.
+//
+// Incremental mode (--incremental) resumes from each room's checkpoint.json and
+// only processes rows appended since the previous run. Timers that ended before
+// the last processed snapshot can't be affected by later data, so their
+// attribution is cached in the checkpoint. Without a usable checkpoint (missing,
+// different algorithm version, data files rewritten) it falls back to a full rebuild.
 
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
+const { DATA_DIR, USERS_DIR, getRooms, getScoringConfig, getNotificationConfig, getRoomPaths, getProfileFileName } = require('./lib/config');
+const { openStorage } = require('./lib/storage');
+const { createNameResolver } = require('./lib/identity');
+const { notifyChanges } = require('./lib/notifier');
+const { HOUR_MS, DAY_MS, createTimeZone } = require('./lib/timezone');
+const { FEED_DELAY_MS, parseFeedEvents, collectUnknownActions, writeUnknownActionsReport } = require('./lib/feed');
+const { ORDER_COLUMNS } = require('./lib/archive');
+const { createRankHistory, readRankHistory, recordRanks, previousRanks, userRankHistory, writeRankHistory } = require('./lib/history');
 
-const DATA_DIR = path.join(__dirname, 'data');
-const ACTIVITIES_PATH = path.join(DATA_DIR, 'activities.csv');
-const PRESENCE_PATH = path.join(DATA_DIR, 'presence.csv');
-const SNAPSHOTS_PATH = path.join(DATA_DIR, 'snapshots.csv');
-const SESSION_LOG_PATH = path.join(DATA_DIR, 'session_log.json');
 const LEADERBOARD_PATH = path.join(DATA_DIR, 'leaderboard.json');
+const RANK_HISTORY_PATH = path.join(DATA_DIR, 'rank_history.json');
+const AS_OF_DIR = path.join(DATA_DIR, 'as-of');
+
+const SCORING = getScoringConfig();
+const GRACE_PERIOD_MS = SCORING.gracePeriodMinutes * 60 * 1000; // grace period for timer attribution
+const MAX_GAP_MS = SCORING.maxGapMinutes * 60 * 1000; // max gap for presence assumption
+const FULL_SESSION_SLACK_MINUTES = 1; // presence is only known to snapshot precision
+const PROFILE_RECENT_TIMERS = 20;
+const TOP_CO_WORKERS = 3;
+// A recurring group: the same 3+ people counted for at least 3 pomodoros together
+const MIN_GROUP_SIZE = 3;
+const MIN_GROUP_POMODOROS = 3;
+const PEAK_HOURS = 3;
+
+const NAMES = createNameResolver();
+const TIME_ZONE = createTimeZone();
+
+// Bump whenever a change would alter results computed from the same data,
+// so old checkpoints are discarded
+const ALGORITHM_VERSION = 7;
+
+const FEED_TOLERANCE_MS = 2 * 60 * 1000; // feed times are estimated to the minute
+const SAME_TIMER_MS = 90 * 1000; // snapshots whose countdowns end this close together saw one timer
+const DEFAULT_DURATIONS = { work: 25, break: 5 };
 
-const GRACE_PERIOD_MS = 5 * 60 * 1000; // 5 minutes grace period for timer attribution
-const MAX_GAP_MS = 30 * 60 * 1000; // 30 min max gap for presence assumption
+// Extract timer events from activity feed
+function extractTimerEvents(activities) {
+  return parseFeedEvents(activities)
+    .filter(event => event.type === 'start')
+    .map(event => ({
+      startTime: event.time,
+      endTime: new Date(event.time.getTime() + event.duration * 60 * 1000),
+      type: event.session,
+      duration: event.duration,
+      startedBy: event.user,
+      // "1 hours ago" means anywhere from 1 to 2 hours ago
+      uncertaintyMs: event.uncertaintyMs
+    }));
+}
 
-// Parse CSV file into array of objects
-function parseCSV(csvPath) {
-  if (!fs.existsSync(csvPath)) return [];
+// Parse a countdown like "21:15" (or "1:02:03") into milliseconds
+function parseTimerValue(value) {
+  const parts = (value || '').split(':').map(Number);
+  if (parts.length < 2 || parts.some(p => !Number.isInteger(p) || p < 0)) return null;
+  return parts.reduce((total, p) => total * 60 + p, 0) * 1000;
+}
 
-  const content = fs.readFileSync(csvPath, 'utf8');
-  const lines = content.trim().split('\n');
-  if (lines.length < 2) return [];
+// Snapshots of a running timer: when that timer is due to end, and its type if known
+function extractTimerSnapshots(snapshots) {
+  const points = [];
 
-  const headers = lines[0].split(',');
-  return lines.slice(1).map(line => {
-    const values = line.split(',');
-    const record = {};
-    headers.forEach((h, idx) => {
-      record[h.trim()] = values[idx]?.trim().replace(/^"|"$/g, '') || '';
+  for (const snapshot of snapshots) {
+    if (snapshot.timer_running !== 'true') continue;
+    const remainingMs = parseTimerValue(snapshot.timer_value);
+    if (!remainingMs) continue;
+
+    const time = new Date(snapshot.timestamp);
+    points.push({
+      time,
+      endTime: new Date(time.getTime() + remainingMs),
+      type: { work: 'work', breakTime: 'break' }[snapshot.session_type] || null
     });
-    return record;
-  });
+  }
+
+  return points;
 }
 
-// Extract timer events from activity feed
-function extractTimerEvents(activities) {
-  const timers = [];
-
-  for (const activity of activities) {
-    const time = new Date(activity.estimated_time);
-    const user = activity.user;
-    const action = activity.action || '';
-
-    if (user === 'cuckoo' || user === 'unknown') continue;
-
-    // Parse timer starts
-    const workMatch = action.match(/started.*?(\d+)\s*minute.*?work/i);
-    const breakMatch = action.match(/started.*?(\d+)\s*minute.*?break/i);
-    const timerMatch = action.match(/started.*?(\d+)\s*minute/i);
-
-    let timerType = null;
-    let duration = 0;
-
-    if (workMatch) {
-      timerType = 'work';
-      duration = parseInt(workMatch[1]);
-    } else if (breakMatch) {
-      timerType = 'break';
-      duration = parseInt(breakMatch[1]);
-    } else if (timerMatch && action.includes('break')) {
-      timerType = 'break';
-      duration = parseInt(timerMatch[1]);
-    } else if (timerMatch) {
-      timerType = 'work';
-      duration = parseInt(timerMatch[1]);
-    }
-
-    if (timerType) {
-      timers.push({
-        startTime: time,
-        endTime: new Date(time.getTime() + duration * 60 * 1000),
-        type: timerType,
-        duration: duration,
-        startedBy: user
-      });
+// Merge consecutive snapshots that saw the same timer counting down
+function groupTimerSnapshots(points) {
+  const observed = [];
+  let current = null;
+
+  for (const point of [...points].sort((a, b) => a.time - b.time)) {
+    const sameTimer = current &&
+      point.time <= current.endTime &&
+      Math.abs(point.endTime - current.endTime) <= SAME_TIMER_MS &&
+      (!point.type || !current.type || point.type === current.type);
+
+    if (sameTimer) {
+      current.type = current.type || point.type;
+      continue;
     }
+
+    current = {
+      firstSeen: point.time,
+      endTime: point.endTime,
+      remainingMs: point.endTime - point.time,
+      type: point.type
+    };
+    observed.push(current);
   }
 
-  // Sort by start time
-  timers.sort((a, b) => a.startTime - b.startTime);
-  return timers;
+  return observed;
 }
 
-// Extract join events from activity feed (for precise join times)
-function extractJoinEvents(activities) {
-  const joins = {};
+// Duration the room was most likely set to for a timer of this type: that of
+// the last one started from the feed, else the most common one
+function likelyDuration(timers, type, before) {
+  const sameType = timers.filter(t => t.type === type);
+  const previous = sameType.filter(t => t.startTime <= before).pop();
+  if (previous) return previous.duration;
+
+  const counts = {};
+  for (const t of sameType) counts[t.duration] = (counts[t.duration] || 0) + 1;
+  const [best] = Object.entries(counts).sort((a, b) => b[1] - a[1] || b[0] - a[0]);
+  return best ? Number(best[0]) : DEFAULT_DURATIONS[type];
+}
 
-  for (const activity of activities) {
-    const time = new Date(activity.estimated_time);
-    const user = activity.user;
-    const action = activity.action || '';
+// Cross-check feed timers against timer snapshots:
+// - coarse feed rows ("1 hours ago") that repeat a timer an earlier scrape
+//   logged to the minute are dropped, as are rows repeating one logged up to
+//   FEED_DELAY_MS earlier (a later scrape dating the same start differently)
+// - a feed timer seen running in a snapshot gets its exact start time from the
+//   countdown (end time minus duration)
+// - a timer seen running but missing from the feed (e.g. started automatically
+//   after the previous one) is added, with no starter
+// Timers seen running are marked `observed`: their start time is exact.
+function reconcileTimers(feedTimers, timerSnapshots) {
+  const startWindow = t => ({
+    from: t.startTime.getTime() - (t.uncertaintyMs || 0) - FEED_TOLERANCE_MS,
+    to: t.startTime.getTime() + FEED_DELAY_MS + FEED_TOLERANCE_MS
+  });
+  const inWindow = (time, t) => {
+    const w = startWindow(t);
+    return time >= w.from && time <= w.to;
+  };
 
-    if (user === 'cuckoo' || user === 'unknown') continue;
+  const sameTimer = (a, b) => a.type === b.type && a.duration === b.duration && a.startedBy === b.startedBy;
+  const precise = [];
+  for (const t of feedTimers.filter(t => !t.uncertaintyMs)) {
+    const repeated = precise.some(p => sameTimer(p, t) && t.startTime - p.startTime <= FEED_DELAY_MS);
+    if (!repeated) precise.push(t);
+  }
+  const timers = feedTimers
+    .filter(t => t.uncertaintyMs ? !precise.some(p => sameTimer(p, t) && inWindow(p.startTime.getTime(), t)) : precise.includes(t))
+    .map(t => ({ ...t }));
+  const duplicates = feedTimers.length - timers.length;
+
+  const longestBreak = Math.max(DEFAULT_DURATIONS.break, ...timers.filter(t => t.type === 'break').map(t => t.duration));
+  const matched = new Set();
+  const inferred = [];
+  let corrected = 0;
+
+  for (const seen of groupTimerSnapshots(timerSnapshots)) {
+    // Closest unmatched feed timer this countdown fits
+    let best = null;
+    let bestDistance = Infinity;
+    for (const t of timers) {
+      if (matched.has(t) || (seen.type && t.type !== seen.type)) continue;
+      if (seen.remainingMs > t.duration * 60 * 1000 + FEED_TOLERANCE_MS) continue;
+
+      const start = seen.endTime.getTime() - t.duration * 60 * 1000;
+      const distance = Math.abs(start - t.startTime.getTime());
+      if (inWindow(start, t) && distance < bestDistance) {
+        best = t;
+        bestDistance = distance;
+      }
+    }
 
-    if (action.includes('joined')) {
-      if (!joins[user]) joins[user] = [];
-      joins[user].push(time);
+    if (best) {
+      matched.add(best);
+      best.observed = true;
+      if (bestDistance > 0) {
+        best.startTime = new Date(seen.endTime.getTime() - best.duration * 60 * 1000);
+        best.endTime = new Date(seen.endTime);
+        best.uncertaintyMs = 0;
+        corrected++;
+      }
+      continue;
     }
+
+    // Older snapshots don't record the session type; only a work timer runs longer than a break
+    const type = seen.type || (seen.remainingMs > longestBreak * 60 * 1000 ? 'work' : null);
+    if (!type) continue;
+
+    const duration = Math.max(likelyDuration(timers, type, seen.firstSeen), Math.ceil(seen.remainingMs / (60 * 1000)));
+    inferred.push({
+      startTime: new Date(seen.endTime.getTime() - duration * 60 * 1000),
+      endTime: new Date(seen.endTime),
+      type,
+      duration,
+      startedBy: null,
+      uncertaintyMs: 0,
+      inferred: true,
+      observed: true
+    });
+  }
+
+  // Stable sort keeps ties in feed order
+  const all = [...timers, ...inferred].sort((a, b) => a.startTime - b.startTime);
+  return { timers: all, duplicates, corrected, inferred: inferred.length };
+}
+
+// Times snapshots saw the room's timer stopped
+function extractTimerStops(snapshots) {
+  return snapshots
+    .filter(s => s.timer_running === 'false')
+    .map(s => new Date(s.timestamp))
+    .filter(time => !isNaN(time));
+}
+
+// How each timer ended, with end times moved back for timers cut short:
+// - interrupted: the next timer started, or a snapshot saw the timer stopped,
+//   before it was due to end (it now ends then)
+// - abandoned: ran its full length, but nobody was in the room at the end
+// - running: not due to end yet
+// - completed: ran its full length with someone there at the end
+// The room runs one timer at a time, so a timer ends where the next one starts
+// and their minutes aren't counted twice (calculateUserStats counts timers logged
+// with the same start once). A feed start time may be up to FEED_DELAY_MS early
+// though, so an unobserved timer only interrupts the one before (or is ended by a
+// stopped snapshot) once it has surely started. Timers cut short by less than the
+// feed's precision still count as completed.
+function settleTimers(timers, stops, userWindows, now = new Date()) {
+  const stopTimes = stops.map(s => s.getTime()).sort((a, b) => a - b);
+  const surelyStarted = t => t.startTime.getTime() + (t.observed ? 0 : FEED_DELAY_MS + FEED_TOLERANCE_MS);
+  const counts = { completed: 0, interrupted: 0, abandoned: 0, running: 0 };
+
+  const settled = timers.map((timer, idx) => {
+    const plannedEnd = timer.endTime.getTime();
+    let end = plannedEnd;
+    let interrupted = false;
+
+    const next = timers.slice(idx + 1).find(t => t.startTime > timer.startTime);
+    if (next && next.startTime.getTime() < end) {
+      end = next.startTime.getTime();
+      interrupted = surelyStarted(next) < plannedEnd - FEED_TOLERANCE_MS;
+    }
+
+    const started = surelyStarted(timer);
+    const stop = stopTimes.find(time => time > started && time < end - FEED_TOLERANCE_MS);
+    if (stop !== undefined) {
+      end = stop;
+      interrupted = true;
+    }
+
+    const endTime = new Date(end);
+    let status = 'completed';
+    if (interrupted) {
+      status = 'interrupted';
+    } else if (end === plannedEnd && plannedEnd > now.getTime()) {
+      status = 'running';
+    } else {
+      const lastMinute = new Date(end - FULL_SESSION_SLACK_MINUTES * 60 * 1000);
+      if (!Object.keys(userWindows).some(user => wasPresent(userWindows, user, lastMinute, endTime))) status = 'abandoned';
+    }
+    counts[status]++;
+
+    return {
+      ...timer,
+      endTime,
+      ...(end < plannedEnd ? { plannedEndTime: timer.endTime } : {}),
+      status
+    };
+  });
+
+  return { timers: settled, ...counts };
+}
+
+// Extract join events from activity feed (for precise join times)
+function extractJoinEvents(activities) {
+  const joins = {};
+
+  for (const event of parseFeedEvents(activities)) {
+    if (event.type !== 'join') continue;
+    if (!joins[event.user]) joins[event.user] = [];
+    joins[event.user].push(event.time);
   }
 
   return joins;
 }
 
-// Build presence windows for each user from presence snapshots
-function buildPresenceWindows(presenceData, joinEvents) {
-  const userWindows = {};
-  let previousSnapshot = null;
-  let previousUsers = new Set();
+// Presence windows are built one snapshot at a time from a plain state object,
+// so a run can stop after the last snapshot and resume from a checkpoint later
+// Each window has two bounds: joinTime/leaveTime, the generous one used for
+// scoring (from just after the snapshot before someone appeared to just before
+// the one they were gone in), and confirmedJoinTime/confirmedLeaveTime, the
+// conservative one (from their feed join or first snapshot to the last
+// snapshot that still showed them)
+function createPresenceState() {
+  return {
+    previousTime: null,
+    previousUsers: [],
+    windows: {} // user -> [{ joinTime, leaveTime, confirmedJoinTime, confirmedLeaveTime }], leaveTime null while open
+  };
+}
 
-  for (const snapshot of presenceData) {
-    const snapshotTime = new Date(snapshot.timestamp);
-    const currentUsers = new Set(
-      snapshot.users ? snapshot.users.split(';').filter(u => u) : []
-    );
-
-    // Calculate gap from previous snapshot
-    const gapMs = previousSnapshot
-      ? snapshotTime - new Date(previousSnapshot.timestamp)
-      : 0;
-
-    // Process each user
-    for (const user of currentUsers) {
-      if (!userWindows[user]) {
-        userWindows[user] = [];
-      }
+// Apply one presence snapshot to the window state
+function addPresenceSnapshot(state, snapshot, joinEvents) {
+  const userWindows = state.windows;
+  const snapshotTime = new Date(snapshot.timestamp);
+  const previousTime = state.previousTime;
+  const previousUsers = new Set(state.previousUsers);
+  const currentUsers = new Set(
+    snapshot.users ? snapshot.users.split(';').filter(u => u) : []
+  );
+
+  // Calculate gap from previous snapshot
+  const gapMs = previousTime ? snapshotTime - previousTime : 0;
+
+  // Process each user
+  for (const user of currentUsers) {
+    if (!userWindows[user]) {
+      userWindows[user] = [];
+    }
+
+    // User just appeared (wasn't in previous snapshot)
+    if (!previousUsers.has(user)) {
+      // Try to find a precise join time from activity feed
+      let joinTime = null;
+      const userJoins = joinEvents[user] || [];
 
-      // User just appeared (wasn't in previous snapshot)
-      if (!previousUsers.has(user)) {
-        // Try to find a precise join time from activity feed
-        let joinTime = null;
-        const userJoins = joinEvents[user] || [];
-
-        // Look for a join event between previous snapshot and this one
-        for (const jt of userJoins) {
-          if (previousSnapshot) {
-            const prevTime = new Date(previousSnapshot.timestamp);
-            if (jt > prevTime && jt <= snapshotTime) {
-              joinTime = jt;
-              break;
-            }
-          } else if (jt <= snapshotTime) {
+      // Look for a join event between previous snapshot and this one
+      for (const jt of userJoins) {
+        if (previousTime) {
+          if (jt > previousTime && jt <= snapshotTime) {
             joinTime = jt;
             break;
           }
+        } else if (jt <= snapshotTime) {
+          joinTime = jt;
+          break;
         }
-
-        // If no precise join time, assume right after previous snapshot
-        // But cap at MAX_GAP_MS for gap protection
-        if (!joinTime) {
-          if (previousSnapshot && gapMs <= MAX_GAP_MS) {
-            // Assume joined right after previous snapshot (generous)
-            joinTime = new Date(new Date(previousSnapshot.timestamp).getTime() + 1000);
-          } else if (previousSnapshot && gapMs > MAX_GAP_MS) {
-            // Gap too large, assume joined MAX_GAP_MS before this snapshot
-            joinTime = new Date(snapshotTime.getTime() - MAX_GAP_MS);
-          } else {
-            // No previous snapshot, assume joined at this snapshot
-            joinTime = snapshotTime;
-          }
-        }
-
-        // Start a new window
-        userWindows[user].push({
-          joinTime: joinTime,
-          leaveTime: null // Will be set when they leave
-        });
       }
-    }
-
-    // Process users who left (were in previous but not current)
-    for (const user of previousUsers) {
-      if (!currentUsers.has(user) && userWindows[user]) {
-        // Find the open window and close it
-        const openWindow = userWindows[user].find(w => w.leaveTime === null);
-        if (openWindow) {
-          // Assume left just before this snapshot (generous)
-          openWindow.leaveTime = new Date(snapshotTime.getTime() - 1000);
+      // A feed join confirms the time; otherwise only this snapshot does
+      const confirmedJoinTime = joinTime || snapshotTime;
+
+      // If no precise join time, assume right after previous snapshot
+      // But cap at MAX_GAP_MS for gap protection
+      if (!joinTime) {
+        if (previousTime && gapMs <= MAX_GAP_MS) {
+          // Assume joined right after previous snapshot (generous)
+          joinTime = new Date(previousTime.getTime() + 1000);
+        } else if (previousTime && gapMs > MAX_GAP_MS) {
+          // Gap too large, assume joined MAX_GAP_MS before this snapshot
+          joinTime = new Date(snapshotTime.getTime() - MAX_GAP_MS);
+        } else {
+          // No previous snapshot, assume joined at this snapshot
+          joinTime = snapshotTime;
         }
       }
-    }
 
-    previousSnapshot = snapshot;
-    previousUsers = currentUsers;
+      // Start a new window
+      userWindows[user].push({
+        joinTime: joinTime,
+        leaveTime: null, // Will be set when they leave
+        confirmedJoinTime,
+        confirmedLeaveTime: snapshotTime
+      });
+    } else {
+      // Still here: the open window (always the last one) is confirmed up to now
+      const openWindow = userWindows[user][userWindows[user].length - 1];
+      if (openWindow) openWindow.confirmedLeaveTime = snapshotTime;
+    }
   }
 
-  // Close any still-open windows (user is currently present)
-  const now = new Date();
-  for (const user of Object.keys(userWindows)) {
-    for (const window of userWindows[user]) {
-      if (window.leaveTime === null) {
-        window.leaveTime = now; // Still present
-        window.stillPresent = true;
+  // Process users who left (were in previous but not current)
+  for (const user of previousUsers) {
+    if (!currentUsers.has(user) && userWindows[user]) {
+      // Find the open window and close it
+      const openWindow = userWindows[user].find(w => w.leaveTime === null);
+      if (openWindow) {
+        // Assume left just before this snapshot (generous)
+        openWindow.leaveTime = new Date(snapshotTime.getTime() - 1000);
       }
     }
   }
 
+  state.previousTime = snapshotTime;
+  state.previousUsers = [...currentUsers];
+}
+
+// Copy the windows out of the state, closing still-open windows at `now`
+function closePresenceWindows(state, now = new Date()) {
+  const userWindows = {};
+
+  for (const [user, windows] of Object.entries(state.windows)) {
+    userWindows[user] = windows.map(w => (w.leaveTime === null
+      ? { ...w, leaveTime: now, stillPresent: true } // Still present
+      : { ...w }));
+  }
+
   return userWindows;
 }
 
+// Build presence windows for each user from presence snapshots
+function buildPresenceWindows(presenceData, joinEvents, now = new Date()) {
+  const state = createPresenceState();
+  for (const snapshot of presenceData) {
+    addPresenceSnapshot(state, snapshot, joinEvents);
+  }
+  return closePresenceWindows(state, now);
+}
+
 // Check if a user was present during a time range
 function wasPresent(userWindows, user, startTime, endTime) {
   const windows = userWindows[user] || [];
@@ -262,8 +512,48 @@ function calculatePresenceTime(windows) {
   return totalMs / (1000 * 60); // Convert to minutes
 }
 
+// A window's conservative bound as [join, leave]
+// (windows built without one are taken as exact)
+function confirmedBounds(w) {
+  return [w.confirmedJoinTime || w.joinTime, w.confirmedLeaveTime || w.leaveTime];
+}
+
+// Presence time by the conservative bound: only time between confirming
+// snapshots or feed joins
+function calculateConfirmedPresenceTime(windows) {
+  let totalMs = 0;
+  for (const w of windows) {
+    const [join, leave] = confirmedBounds(w);
+    totalMs += Math.max(0, leave.getTime() - join.getTime());
+  }
+  return totalMs / (1000 * 60);
+}
+
+// Attribute one timer to users: who gets +1 count, and each user's overlap minutes
+// (timers clipped to a period only count if they started inside it)
+function attributeTimer(userWindows, timer) {
+  const counted = [];
+  const overlapMinutes = {};
+
+  for (const user of Object.keys(userWindows)) {
+    // Check if user is eligible for this timer's count
+    if (timer.countable !== false && eligibleForTimerCount(userWindows, user, timer.startTime)) {
+      counted.push(user);
+    }
+
+    // Calculate actual overlap time
+    const overlap = calculateOverlap(userWindows, user, timer.startTime, timer.endTime);
+    if (overlap > 0) {
+      overlapMinutes[user] = overlap;
+    }
+  }
+
+  return { counted, overlapMinutes };
+}
+
 // Calculate user statistics
-function calculateUserStats(userWindows, timers) {
+// `attributions` (one per timer) may be passed in when some were cached
+function calculateUserStats(userWindows, timers, attributions = null) {
   const userStats = {};
 
   // Initialize stats for all users who have presence windows
@@ -274,49 +564,120 @@ function calculateUserStats(userWindows, timers) {
 
     userStats[user] = {
       totalPresenceMinutes: calculatePresenceTime(windows),
+      conservativePresenceMinutes: calculateConfirmedPresenceTime(windows),
       totalWorkMinutes: 0,
       totalBreakMinutes: 0,
       pomodoroCount: 0,
+      completedPomodoros: 0,
       breakCount: 0,
+      timersStarted: 0,
+      fullSessions: 0,
       firstSeen: firstWindow?.joinTime.toISOString(),
       lastSeen: lastWindow?.leaveTime.toISOString(),
-      currentlyPresent: lastWindow?.stillPresent || false
+      currentlyPresent: lastWindow?.stillPresent || false,
+      pomodorosByDay: {}
     };
   }
 
-  // Process each timer and attribute to eligible users
-  for (const timer of timers) {
-    for (const user of Object.keys(userWindows)) {
-      // Check if user is eligible for this timer's count
-      if (eligibleForTimerCount(userWindows, user, timer.startTime)) {
-        if (timer.type === 'work') {
-          userStats[user].pomodoroCount++;
-        } else {
-          userStats[user].breakCount++;
+  // Timers can share a start time (two people starting one at once), so work
+  // minutes a previous work timer already covered aren't counted again
+  let workCoveredUntil = null;
+
+  // Add each timer's attribution to the users it was attributed to
+  timers.forEach((timer, idx) => {
+    const { counted, overlapMinutes } = attributions
+      ? attributions[idx]
+      : attributeTimer(userWindows, timer);
+
+    for (const user of counted) {
+      if (timer.type === 'work') {
+        const day = dayKey(timer.startTime);
+        userStats[user].pomodoroCount++;
+        userStats[user].pomodorosByDay[day] = (userStats[user].pomodorosByDay[day] || 0) + 1;
+        if (timer.status === 'completed') userStats[user].completedPomodoros++;
+
+        // There from start to end
+        const timerMinutes = (timer.endTime - timer.startTime) / (60 * 1000);
+        if ((overlapMinutes[user] || 0) >= timerMinutes - FULL_SESSION_SLACK_MINUTES) {
+          userStats[user].fullSessions++;
         }
+      } else {
+        userStats[user].breakCount++;
       }
+    }
 
-      // Calculate actual overlap time
-      const overlapMinutes = calculateOverlap(
-        userWindows,
-        user,
-        timer.startTime,
-        timer.endTime
-      );
+    if (timer.countable !== false && userStats[timer.startedBy]) {
+      userStats[timer.startedBy].timersStarted++;
+    }
 
-      if (overlapMinutes > 0) {
-        if (timer.type === 'work') {
-          userStats[user].totalWorkMinutes += overlapMinutes;
-        } else {
-          userStats[user].totalBreakMinutes += overlapMinutes;
-        }
+    const coveredEnd = timer.type === 'work' && workCoveredUntil > timer.startTime
+      ? new Date(Math.min(workCoveredUntil, timer.endTime))
+      : null;
+    for (const [user, minutes] of Object.entries(overlapMinutes)) {
+      if (timer.type === 'work') {
+        const counted = coveredEnd ? calculateOverlap(userWindows, user, timer.startTime, coveredEnd) : 0;
+        userStats[user].totalWorkMinutes += minutes - counted;
+      } else {
+        userStats[user].totalBreakMinutes += minutes;
       }
     }
-  }
+    if (timer.type === 'work' && !(workCoveredUntil >= timer.endTime)) workCoveredUntil = timer.endTime;
+  });
 
   return userStats;
 }
 
+// Day key in the reporting timezone, e.g. 2026-01-22
+function dayKey(date) {
+  return TIME_ZONE.dayKey(date);
+}
+
+// Day key of the day after a day key
+function nextDayKey(day) {
+  return new Date(Date.parse(day) + DAY_MS).toISOString().slice(0, 10);
+}
+
+// Monday of the ISO week of a day key's date (as a UTC date, see lib/timezone.js)
+function startOfWeek(day) {
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+}
+
+// Streaks and consistency from the days a user had at least one pomodoro
+// - Current streak survives until a full day passes without a pomodoro
+// - Consistency score: % of weeks since the user's first active week with an active day
+function calculateStreaks(pomodorosByDay, now) {
+  const days = Object.keys(pomodorosByDay).sort();
+  if (days.length === 0) {
+    return { currentStreak: 0, longestStreak: 0, activeDays: 0, activeDaysPerWeek: 0, consistencyScore: 0 };
+  }
+
+  let run = 1;
+  let longestStreak = 1;
+  for (let i = 1; i < days.length; i++) {
+    const gapDays = (Date.parse(days[i]) - Date.parse(days[i - 1])) / DAY_MS;
+    run = gapDays === 1 ? run + 1 : 1;
+    longestStreak = Math.max(longestStreak, run);
+  }
+
+  // `run` is now the streak ending on the last active day
+  const today = new Date(dayKey(now));
+  const daysSinceActive = (today - Date.parse(days[days.length - 1])) / DAY_MS;
+  const currentStreak = daysSinceActive <= 1 ? run : 0;
+
+  const firstDay = new Date(days[0]);
+  const spanWeeks = Math.max(1, ((today - firstDay) / DAY_MS + 1) / 7);
+  const totalWeeks = Math.round((startOfWeek(today) - startOfWeek(firstDay)) / (7 * DAY_MS)) + 1;
+  const activeWeeks = new Set(days.map(d => isoWeekLabel(new Date(d)))).size;
+
+  return {
+    currentStreak,
+    longestStreak,
+    activeDays: days.length,
+    activeDaysPerWeek: Math.round((days.length / spanWeeks) * 10) / 10,
+    consistencyScore: Math.round((100 * activeWeeks) / totalWeeks)
+  };
+}
+
 // Format duration for display
 function formatDuration(minutes) {
   const hours = Math.floor(minutes / 60);
@@ -327,19 +688,207 @@ function formatDuration(minutes) {
   return `${mins}m`;
 }
 
-// Build activity log showing timers with participants
-function buildActivityLog(timers, userWindows) {
-  const activityLog = [];
+const RANKING_NAMES = {
+  presence: 'Presence Time',
+  work: 'Work Time',
+  pomodoros: 'Pomodoros',
+  points: 'Points'
+};
+
+function formatRankingValue(u) {
+  switch (SCORING.rankBy) {
+    case 'work': return `${formatDuration(u.totalWorkMinutes)} work`;
+    case 'pomodoros': return `${u.pomodoroCount} pomodoros`;
+    case 'points': return `${u.points} points`;
+    default: return formatDuration(u.totalPresenceMinutes);
+  }
+}
 
-  for (const timer of timers) {
-    const participants = [];
+// Clip presence windows to [from, to), dropping users with no presence in range
+function clipWindows(userWindows, from, to) {
+  const clipped = {};
+
+  for (const [user, windows] of Object.entries(userWindows)) {
+    const inRange = windows
+      .filter(w => w.joinTime < to && w.leaveTime > from)
+      .map(w => {
+        const [confirmedJoin, confirmedLeave] = confirmedBounds(w);
+        return {
+          joinTime: w.joinTime < from ? from : w.joinTime,
+          leaveTime: w.leaveTime > to ? to : w.leaveTime,
+          // Empty (leave before join) when only the generous bound reaches into the range
+          confirmedJoinTime: confirmedJoin < from ? from : confirmedJoin,
+          confirmedLeaveTime: confirmedLeave > to ? to : confirmedLeave,
+          stillPresent: (w.stillPresent || false) && w.leaveTime <= to
+        };
+      });
 
-    // Find all users who were eligible for this timer
-    for (const user of Object.keys(userWindows)) {
-      if (eligibleForTimerCount(userWindows, user, timer.startTime)) {
-        participants.push(user);
-      }
+    if (inRange.length > 0) {
+      clipped[user] = inRange;
     }
+  }
+
+  return clipped;
+}
+
+// Clip timers to [from, to)
+// Timers that started before the range still contribute overlap time,
+// but are marked non-countable so they don't add to pomodoro/break counts
+function clipTimers(timers, from, to) {
+  return timers
+    .filter(t => t.startTime < to && t.endTime > from)
+    .map(t => ({
+      ...t,
+      startTime: t.startTime < from ? from : t.startTime,
+      endTime: t.endTime > to ? to : t.endTime,
+      countable: t.startTime >= from
+    }));
+}
+
+// ISO 8601 week label of a date (a day key as a UTC date), e.g. 2026-W04
+function isoWeekLabel(date) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  // Move to the Thursday of this week - it decides which year the week belongs to
+  d.setUTCDate(d.getUTCDate() + 3 - (d.getUTCDay() + 6) % 7);
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((d - yearStart) / DAY_MS + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// Built-in periods in the reporting timezone: today, current ISO week, current month
+function getPeriodRanges(now) {
+  const today = dayKey(now);
+
+  return {
+    today: { label: today, from: TIME_ZONE.startOfDay(now), to: now },
+    week: { label: isoWeekLabel(new Date(today)), from: TIME_ZONE.startOfWeek(now), to: now },
+    month: { label: today.slice(0, 7), from: TIME_ZONE.startOfMonth(now), to: now }
+  };
+}
+
+// Parse a --from/--to/--now value; date-only values are days in the reporting
+// timezone, and date-only --to values include the whole day
+function parseRangeDate(value, flag) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid ${flag} date: ${value}`);
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    // A date on its own means the end of that day for --to and --as-of
+    const day = flag === '--to' || flag === '--as-of' ? nextDayKey(value) : value;
+    return TIME_ZONE.startOfDayKey(day);
+  }
+  return date;
+}
+
+// Build a custom period from --from/--to (either may be omitted)
+function getCustomRange(args, now) {
+  if (!args.from && !args.to) return null;
+
+  const from = args.from ? parseRangeDate(args.from, '--from') : new Date(0);
+  const to = args.to ? parseRangeDate(args.to, '--to') : now;
+  if (from >= to) {
+    throw new Error(`--from (${args.from}) must be before --to (${args.to})`);
+  }
+
+  return {
+    label: `${args.from || 'start'} to ${args.to || 'now'}`,
+    from,
+    to
+  };
+}
+
+// Points for a user's stats under the configured weights
+function calculatePoints(stats, weights = SCORING.points) {
+  const points = stats.pomodoroCount * weights.pomodoro +
+    stats.totalWorkMinutes / 60 * weights.workHour +
+    stats.totalPresenceMinutes / 60 * weights.presenceHour +
+    stats.timersStarted * weights.timerStarted +
+    stats.fullSessions * weights.fullSession;
+  return Math.round(points * 10) / 10;
+}
+
+// Value users are ranked by; ties go to the longer presence
+function rankingValue(u, rankBy = SCORING.rankBy) {
+  switch (rankBy) {
+    case 'work': return u.totalWorkMinutes;
+    case 'pomodoros': return u.pomodoroCount;
+    case 'points': return u.points;
+    default: return u.totalPresenceMinutes;
+  }
+}
+
+function compareRanking(a, b) {
+  return rankingValue(b) - rankingValue(a) || b.totalPresenceMinutes - a.totalPresenceMinutes;
+}
+
+// Rank users by the configured metric and round values for output
+function rankUsers(userStats, currentlyPresent) {
+  return Object.entries(userStats)
+    .map(([user, stats]) => ({
+      user,
+      ...stats,
+      currentlyPresent: currentlyPresent.includes(user),
+      avgPomodoroMinutes: stats.pomodoroCount > 0
+        ? Math.round(stats.totalWorkMinutes / stats.pomodoroCount)
+        : 0,
+      ...(SCORING.rankBy === 'points' ? { points: calculatePoints(stats) } : {})
+    }))
+    .sort(compareRanking)
+    .map(u => ({
+      user: u.user,
+      currentlyPresent: u.currentlyPresent,
+      totalPresenceMinutes: Math.round(u.totalPresenceMinutes),
+      conservativePresenceMinutes: Math.round(u.conservativePresenceMinutes),
+      presenceUncertaintyMinutes: Math.round(u.totalPresenceMinutes) - Math.round(u.conservativePresenceMinutes),
+      totalWorkMinutes: Math.round(u.totalWorkMinutes),
+      totalBreakMinutes: Math.round(u.totalBreakMinutes),
+      pomodoroCount: u.pomodoroCount,
+      completedPomodoros: u.completedPomodoros,
+      breakCount: u.breakCount,
+      timersStarted: u.timersStarted,
+      fullSessions: u.fullSessions,
+      ...(u.points !== undefined ? { points: u.points } : {}),
+      avgPomodoroMinutes: u.avgPomodoroMinutes,
+      firstSeen: u.firstSeen,
+      lastSeen: u.lastSeen
+    }));
+}
+
+// Build a ranking restricted to a single period
+function buildPeriodLeaderboard(period, userWindows, timers, currentlyPresent) {
+  const periodWindows = clipWindows(userWindows, period.from, period.to);
+  const periodTimers = clipTimers(timers, period.from, period.to);
+  const users = rankUsers(calculateUserStats(periodWindows, periodTimers), currentlyPresent);
+
+  return {
+    label: period.label,
+    from: period.from.toISOString(),
+    to: period.to.toISOString(),
+    totalUsers: users.length,
+    totalPomodoros: users.reduce((sum, u) => sum + u.pomodoroCount, 0),
+    completedPomodoros: users.reduce((sum, u) => sum + u.completedPomodoros, 0),
+    totalWorkMinutes: users.reduce((sum, u) => sum + u.totalWorkMinutes, 0),
+    users
+  };
+}
+
+// Work timers by how they ended (see settleTimers)
+function countTimerOutcomes(timers) {
+  const counts = { completed: 0, interrupted: 0, abandoned: 0, running: 0 };
+  for (const timer of timers) {
+    if (timer.type === 'work' && timer.status) counts[timer.status]++;
+  }
+  return counts;
+}
+
+// Build activity log showing timers with participants
+// (everyone eligible for the timer's count)
+function buildActivityLog(timers, attributions) {
+  const activityLog = [];
+
+  timers.forEach((timer, idx) => {
+    const participants = attributions[idx].counted;
 
     activityLog.push({
       time: timer.startTime.toISOString(),
@@ -347,9 +896,11 @@ function buildActivityLog(timers, userWindows) {
       type: timer.type,
       duration: timer.duration,
       startedBy: timer.startedBy,
+      ...(timer.inferred ? { inferred: true } : {}),
+      status: timer.status,
       participants: participants
     });
-  }
+  });
 
   // Sort by time descending (most recent first)
   activityLog.sort((a, b) => new Date(b.time) - new Date(a.time));
@@ -357,130 +908,1076 @@ function buildActivityLog(timers, userWindows) {
   return activityLog;
 }
 
-// Generate leaderboard data
-function generateLeaderboard(userStats, latestPresence, timers, userWindows) {
-  const now = new Date();
+// A user's presence inside [start, end), as [startMs, endMs] pieces
+function clipIntervals(windows, start, end) {
+  const pieces = [];
+  for (const w of windows) {
+    const from = Math.max(w.joinTime.getTime(), start.getTime());
+    const to = Math.min(w.leaveTime.getTime(), end.getTime());
+    if (to > from) pieces.push([from, to]);
+  }
+  return pieces;
+}
+
+// Minutes two users' presence pieces overlap
+function sharedMinutes(a, b) {
+  let ms = 0;
+  for (const [aFrom, aTo] of a) {
+    for (const [bFrom, bTo] of b) {
+      ms += Math.max(0, Math.min(aTo, bTo) - Math.max(aFrom, bFrom));
+    }
+  }
+  return ms / (1000 * 60);
+}
+
+// Key for a set of users, independent of order
+const groupKey = users => [...users].sort().join('\n');
+
+// Co-working graph: for each pair of users the work minutes they were in the room
+// together and the pomodoros both were counted for, and for each group counted
+// for a pomodoro together (3+ people) how often exactly that group met
+function buildCoworkingGraph(userWindows, timers, attributions) {
+  const pairs = {};
+  const groups = {};
+
+  timers.forEach((timer, idx) => {
+    if (timer.type !== 'work') return;
+    const { counted, overlapMinutes } = attributions[idx];
+
+    const present = Object.keys(overlapMinutes).sort();
+    const pieces = Object.fromEntries(present.map(user => [user, clipIntervals(userWindows[user], timer.startTime, timer.endTime)]));
+    for (let i = 0; i < present.length; i++) {
+      for (let j = i + 1; j < present.length; j++) {
+        const minutes = sharedMinutes(pieces[present[i]], pieces[present[j]]);
+        if (minutes <= 0) continue;
+        const key = groupKey([present[i], present[j]]);
+        const pair = pairs[key] || (pairs[key] = { users: [present[i], present[j]], pomodoros: 0, workMinutes: 0 });
+        pair.workMinutes += minutes;
+      }
+    }
+
+    const together = [...counted].sort();
+    for (let i = 0; i < together.length; i++) {
+      for (let j = i + 1; j < together.length; j++) {
+        const key = groupKey([together[i], together[j]]);
+        const pair = pairs[key] || (pairs[key] = { users: [together[i], together[j]], pomodoros: 0, workMinutes: 0 });
+        pair.pomodoros++;
+      }
+    }
+
+    if (together.length >= MIN_GROUP_SIZE) {
+      const key = groupKey(together);
+      const group = groups[key] || (groups[key] = { users: together, pomodoros: 0, lastTime: null });
+      group.pomodoros++;
+      const time = timer.startTime.toISOString();
+      if (!group.lastTime || time > group.lastTime) group.lastTime = time;
+    }
+  });
+
+  return { pairs, groups };
+}
+
+// Add up per-room co-working graphs
+function mergeCoworkingGraphs(graphs) {
+  const merged = { pairs: {}, groups: {} };
+  for (const graph of graphs) {
+    for (const [key, pair] of Object.entries(graph.pairs)) {
+      const m = merged.pairs[key] || (merged.pairs[key] = { users: pair.users, pomodoros: 0, workMinutes: 0 });
+      m.pomodoros += pair.pomodoros;
+      m.workMinutes += pair.workMinutes;
+    }
+    for (const [key, group] of Object.entries(graph.groups)) {
+      const m = merged.groups[key] || (merged.groups[key] = { users: group.users, pomodoros: 0, lastTime: null });
+      m.pomodoros += group.pomodoros;
+      if (!m.lastTime || group.lastTime > m.lastTime) m.lastTime = group.lastTime;
+    }
+  }
+  return merged;
+}
+
+// Co-working section of a leaderboard: pairs by time together, recurring groups
+// by pomodoros together
+function summarizeCoworking(graph) {
+  return {
+    pairs: Object.values(graph.pairs)
+      .map(p => ({ ...p, workMinutes: roundMinutes(p.workMinutes) }))
+      .filter(p => p.pomodoros > 0 || p.workMinutes > 0)
+      .sort((a, b) => b.workMinutes - a.workMinutes || b.pomodoros - a.pomodoros || groupKey(a.users).localeCompare(groupKey(b.users))),
+    groups: Object.values(graph.groups)
+      .filter(g => g.pomodoros >= MIN_GROUP_POMODOROS)
+      .sort((a, b) => b.pomodoros - a.pomodoros || b.users.length - a.users.length || b.lastTime.localeCompare(a.lastTime))
+  };
+}
+
+// A user's co-workers from the summarized pairs, most pomodoros together first
+function coWorkersOf(coworking, user) {
+  return coworking.pairs
+    .filter(p => p.users.includes(user))
+    .map(p => ({ user: p.users[0] === user ? p.users[1] : p.users[0], pomodoros: p.pomodoros, workMinutes: p.workMinutes }))
+    .sort((a, b) => b.pomodoros - a.pomodoros || b.workMinutes - a.workMinutes || a.user.localeCompare(b.user));
+}
+
+// Names of the people a user worked with most
+function topCoWorkers(coworking, user) {
+  return coWorkersOf(coworking, user).slice(0, TOP_CO_WORKERS).map(c => c.user);
+}
 
+// Room-level aggregates per hour (in the reporting timezone): presence minutes,
+// who was there, sessions started and pomodoros started. Days and weekdays are
+// grouped from these by summarizeRoomAnalytics, or in the viewer's timezone by
+// the dashboard.
+function buildRoomAnalytics(userWindows, timers, attributions) {
+  const analytics = { since: null, until: null, hours: {} };
+  const hourOf = date => analyticsHour(analytics, TIME_ZONE.startOfHour(date).toISOString());
+
+  for (const [user, windows] of Object.entries(userWindows)) {
+    for (const w of windows) {
+      if (!analytics.since || w.joinTime < analytics.since) analytics.since = w.joinTime;
+      if (!analytics.until || w.leaveTime > analytics.until) analytics.until = w.leaveTime;
+
+      const start = hourOf(w.joinTime);
+      start.sessions++;
+      start.sessionMinutes += calculatePresenceTime([w]);
+
+      forEachHour(w.joinTime, w.leaveTime, (hour, minutes) => {
+        const h = analyticsHour(analytics, hour.toISOString());
+        h.presenceMinutes += minutes;
+        h.visitors.add(user);
+      });
+    }
+  }
+
+  // Pomodoros that someone was counted for
+  timers.forEach((timer, idx) => {
+    if (timer.type !== 'work' || attributions[idx].counted.length === 0) return;
+    hourOf(timer.startTime).pomodoros++;
+  });
+
+  return analytics;
+}
+
+function analyticsHour(analytics, hour) {
+  if (!analytics.hours[hour]) {
+    analytics.hours[hour] = { presenceMinutes: 0, visitors: new Set(), sessions: 0, sessionMinutes: 0, pomodoros: 0 };
+  }
+  return analytics.hours[hour];
+}
+
+// Add up per-room analytics (a visitor of several rooms counts once an hour)
+function mergeRoomAnalytics(analyticsList) {
+  const merged = { since: null, until: null, hours: {} };
+
+  for (const a of analyticsList) {
+    if (a.since && (!merged.since || a.since < merged.since)) merged.since = a.since;
+    if (a.until && (!merged.until || a.until > merged.until)) merged.until = a.until;
+    for (const [hour, stats] of Object.entries(a.hours)) {
+      const m = analyticsHour(merged, hour);
+      m.presenceMinutes += stats.presenceMinutes;
+      stats.visitors.forEach(user => m.visitors.add(user));
+      m.sessions += stats.sessions;
+      m.sessionMinutes += stats.sessionMinutes;
+      m.pomodoros += stats.pomodoros;
+    }
+  }
+  return merged;
+}
+
+// Analytics section of a leaderboard
+// - occupancy[weekday][hour]: average number of people present, over every such
+//   hour from the first visit to the last (weekday 0 = Monday)
+// - peakHours: the busiest of those hours
+// - daily: visitors (new = first visit ever that day), sessions and pomodoros
+// - hourly: the per-hour aggregates everything else is grouped from
+function summarizeRoomAnalytics(analytics) {
+  const hours = Object.keys(analytics.hours).sort();
+
+  const observedHours = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  if (analytics.since) {
+    for (let t = TIME_ZONE.startOfHour(analytics.since).getTime(); t < analytics.until.getTime(); t += HOUR_MS) {
+      const hour = new Date(t);
+      observedHours[TIME_ZONE.weekday(hour)][TIME_ZONE.hour(hour)]++;
+    }
+  }
+  const presenceMinutes = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  for (const hour of hours) {
+    const date = new Date(hour);
+    presenceMinutes[TIME_ZONE.weekday(date)][TIME_ZONE.hour(date)] += analytics.hours[hour].presenceMinutes;
+  }
+  const occupancy = presenceMinutes.map((byHour, weekday) => byHour.map((minutes, hour) =>
+    (observedHours[weekday][hour] > 0 ? Math.round(minutes / (observedHours[weekday][hour] * 60) * 100) / 100 : 0)));
+
+  const peakHours = occupancy
+    .flatMap((byHour, weekday) => byHour.map((averagePeople, hour) => ({ weekday, hour, averagePeople })))
+    .filter(cell => cell.averagePeople > 0)
+    .sort((a, b) => b.averagePeople - a.averagePeople || a.weekday - b.weekday || a.hour - b.hour)
+    .slice(0, PEAK_HOURS);
+
+  const days = {};
+  for (const hour of hours) {
+    const stats = analytics.hours[hour];
+    const day = dayKey(new Date(hour));
+    const d = days[day] || (days[day] = { visitors: new Set(), sessions: 0, sessionMinutes: 0, pomodoros: 0 });
+    stats.visitors.forEach(user => d.visitors.add(user));
+    d.sessions += stats.sessions;
+    d.sessionMinutes += stats.sessionMinutes;
+    d.pomodoros += stats.pomodoros;
+  }
+  const seen = new Set();
+  const daily = Object.keys(days).sort().map(day => {
+    const d = days[day];
+    const visitors = [...d.visitors];
+    const newUsers = visitors.filter(user => !seen.has(user)).length;
+    visitors.forEach(user => seen.add(user));
+    return {
+      day,
+      visitors: visitors.length,
+      newUsers,
+      returningUsers: visitors.length - newUsers,
+      sessions: d.sessions,
+      averageSessionMinutes: d.sessions > 0 ? roundMinutes(d.sessionMinutes / d.sessions) : 0,
+      pomodoros: d.pomodoros
+    };
+  });
+
+  const sessions = hours.reduce((sum, hour) => sum + analytics.hours[hour].sessions, 0);
+  const sessionMinutes = hours.reduce((sum, hour) => sum + analytics.hours[hour].sessionMinutes, 0);
+  return {
+    since: analytics.since ? analytics.since.toISOString() : null,
+    until: analytics.until ? analytics.until.toISOString() : null,
+    sessions,
+    averageSessionMinutes: sessions > 0 ? roundMinutes(sessionMinutes / sessions) : 0,
+    occupancy,
+    peakHours,
+    daily,
+    hourly: hours.map(hour => {
+      const stats = analytics.hours[hour];
+      return {
+        hour,
+        presenceMinutes: roundMinutes(stats.presenceMinutes),
+        visitors: [...stats.visitors].sort(),
+        sessions: stats.sessions,
+        sessionMinutes: roundMinutes(stats.sessionMinutes),
+        pomodoros: stats.pomodoros
+      };
+    })
+  };
+}
+
+// Split a time range at hour boundaries in the reporting timezone:
+// fn(hourStart, minutes) per piece
+function forEachHour(start, end, fn) {
+  let t = start.getTime();
+  const endMs = end.getTime();
+  while (t < endMs) {
+    const hourStart = TIME_ZONE.startOfHour(new Date(t)).getTime();
+    const pieceEnd = Math.min(hourStart + HOUR_MS, endMs);
+    fn(new Date(hourStart), (pieceEnd - t) / (1000 * 60));
+    t = pieceEnd;
+  }
+}
+
+function createUserProfile() {
+  return {
+    sessions: [],
+    hours: {}
+  };
+}
+
+function profileHour(profile, hour) {
+  const key = hour.toISOString();
+  if (!profile.hours[key]) {
+    profile.hours[key] = { presenceMinutes: 0, workMinutes: 0, breakMinutes: 0, pomodoros: 0 };
+  }
+  return profile.hours[key];
+}
+
+// Per-user detail for profile pages: sessions, and presence, work, break and
+// pomodoros per hour, grouped into days and hours of the day when written out
+// (co-workers come from the co-working graph)
+function buildUserProfiles(userWindows, timers, attributions) {
+  const profiles = {};
+  for (const user of Object.keys(userWindows)) {
+    profiles[user] = createUserProfile();
+  }
+
+  for (const [user, windows] of Object.entries(userWindows)) {
+    const profile = profiles[user];
+    for (const w of windows) {
+      profile.sessions.push({
+        joinTime: w.joinTime.toISOString(),
+        leaveTime: w.leaveTime.toISOString(),
+        minutes: calculatePresenceTime([w])
+      });
+      forEachHour(w.joinTime, w.leaveTime, (hour, minutes) => {
+        profileHour(profile, hour).presenceMinutes += minutes;
+      });
+    }
+  }
+
+  timers.forEach((timer, idx) => {
+    const { counted, overlapMinutes } = attributions[idx];
+    const isWork = timer.type === 'work';
+
+    // Spread each user's overlap over the hours it fell in
+    for (const user of Object.keys(overlapMinutes)) {
+      const profile = profiles[user];
+      for (const [start, end] of clipIntervals(userWindows[user], timer.startTime, timer.endTime)) {
+        forEachHour(new Date(start), new Date(end), (hour, minutes) => {
+          profileHour(profile, hour)[isWork ? 'workMinutes' : 'breakMinutes'] += minutes;
+        });
+      }
+    }
+
+    if (!isWork) return;
+    for (const user of counted) {
+      profileHour(profiles[user], TIME_ZONE.startOfHour(timer.startTime)).pomodoros++;
+    }
+  });
+
+  return profiles;
+}
+
+// Generate leaderboard data
+function generateLeaderboard({ userStats, latestPresence, timers, attributions, userWindows, customRange = null, now = new Date(),
+  coworkingGraph = buildCoworkingGraph(userWindows, timers, attributions),
+  roomAnalytics = buildRoomAnalytics(userWindows, timers, attributions) }) {
   // Get currently present users from the LATEST presence snapshot (most accurate)
   const currentlyPresent = latestPresence
     ? latestPresence.split(';').filter(u => u)
     : [];
 
-  // Update userStats to reflect actual presence from latest snapshot
-  for (const user of Object.keys(userStats)) {
-    userStats[user].currentlyPresent = currentlyPresent.includes(user);
+  // Rank by total presence time, with all-time streaks and top co-workers
+  const coworking = summarizeCoworking(coworkingGraph);
+  const ranked = rankUsers(userStats, currentlyPresent).map(u => ({
+    ...u,
+    ...calculateStreaks(userStats[u.user].pomodorosByDay, now),
+    topCoWorkers: topCoWorkers(coworking, u.user)
+  }));
+
+  // Per-period rankings
+  const ranges = getPeriodRanges(now);
+  if (customRange) ranges.custom = customRange;
+  const periods = {};
+  for (const [key, range] of Object.entries(ranges)) {
+    periods[key] = buildPeriodLeaderboard(range, userWindows, timers, currentlyPresent);
   }
 
-  // Rank by total presence time
-  const ranked = Object.entries(userStats)
-    .map(([user, stats]) => ({
-      user,
-      ...stats,
-      avgPomodoroMinutes: stats.pomodoroCount > 0
-        ? Math.round(stats.totalWorkMinutes / stats.pomodoroCount)
-        : 0,
-      avgBreakMinutes: stats.breakCount > 0
-        ? Math.round(stats.totalBreakMinutes / stats.breakCount)
-        : 0
-    }))
-    .sort((a, b) => b.totalPresenceMinutes - a.totalPresenceMinutes);
-
   // Build activity log
-  const activityLog = buildActivityLog(timers, userWindows);
+  const activityLog = buildActivityLog(timers, attributions);
 
   return {
     generated: now.toISOString(),
+    timezone: TIME_ZONE.name,
+    scoring: SCORING,
     currentlyPresent,
     totalUsers: ranked.length,
     totalPomodoros: ranked.reduce((sum, u) => sum + u.pomodoroCount, 0),
-    totalWorkMinutes: ranked.reduce((sum, u) => sum + u.totalWorkMinutes, 0),
+    completedPomodoros: ranked.reduce((sum, u) => sum + u.completedPomodoros, 0),
+    totalWorkMinutes: Object.values(userStats).reduce((sum, u) => sum + u.totalWorkMinutes, 0),
+    timerOutcomes: countTimerOutcomes(timers),
+    periods,
     activityLog: activityLog,
-    users: ranked.map(u => ({
-      user: u.user,
-      currentlyPresent: u.currentlyPresent,
-      totalPresenceMinutes: Math.round(u.totalPresenceMinutes),
-      totalWorkMinutes: Math.round(u.totalWorkMinutes),
-      totalBreakMinutes: Math.round(u.totalBreakMinutes),
-      pomodoroCount: u.pomodoroCount,
-      breakCount: u.breakCount,
-      avgPomodoroMinutes: u.avgPomodoroMinutes,
-      firstSeen: u.firstSeen,
-      lastSeen: u.lastSeen
+    coworking,
+    analytics: summarizeRoomAnalytics(roomAnalytics),
+    users: ranked
+  };
+}
+
+// Merge per-room user rankings into a single ranking
+// Totals are summed across rooms; each user lists the rooms they were seen in
+function mergeRankings(rankings) {
+  const merged = {};
+
+  for (const { roomId, users } of rankings) {
+    for (const u of users) {
+      if (!merged[u.user]) {
+        merged[u.user] = {
+          user: u.user,
+          currentlyPresent: false,
+          totalPresenceMinutes: 0,
+          conservativePresenceMinutes: 0,
+          presenceUncertaintyMinutes: 0,
+          totalWorkMinutes: 0,
+          totalBreakMinutes: 0,
+          pomodoroCount: 0,
+          completedPomodoros: 0,
+          breakCount: 0,
+          timersStarted: 0,
+          fullSessions: 0,
+          ...(u.points !== undefined ? { points: 0 } : {}),
+          avgPomodoroMinutes: 0,
+          firstSeen: u.firstSeen,
+          lastSeen: u.lastSeen,
+          rooms: []
+        };
+      }
+
+      const m = merged[u.user];
+      m.currentlyPresent = m.currentlyPresent || u.currentlyPresent;
+      m.totalPresenceMinutes += u.totalPresenceMinutes;
+      m.conservativePresenceMinutes += u.conservativePresenceMinutes;
+      m.presenceUncertaintyMinutes += u.presenceUncertaintyMinutes;
+      m.totalWorkMinutes += u.totalWorkMinutes;
+      m.totalBreakMinutes += u.totalBreakMinutes;
+      m.pomodoroCount += u.pomodoroCount;
+      m.completedPomodoros += u.completedPomodoros;
+      m.breakCount += u.breakCount;
+      m.timersStarted += u.timersStarted;
+      m.fullSessions += u.fullSessions;
+      if (u.points !== undefined) m.points = Math.round((m.points + u.points) * 10) / 10;
+      if (u.firstSeen < m.firstSeen) m.firstSeen = u.firstSeen;
+      if (u.lastSeen > m.lastSeen) m.lastSeen = u.lastSeen;
+      m.rooms.push(roomId);
+    }
+  }
+
+  return Object.values(merged)
+    .map(m => ({
+      ...m,
+      avgPomodoroMinutes: m.pomodoroCount > 0 ? Math.round(m.totalWorkMinutes / m.pomodoroCount) : 0
     }))
+    .sort(compareRanking);
+}
+
+// Combine per-room leaderboards into the cross-room leaderboard
+// Streaks are recomputed from the union of each user's active days across rooms,
+// the co-working graph and room analytics from the per-room ones
+function combineLeaderboards(roomResults) {
+  const roomBoards = roomResults.map(r => r.board);
+  const now = new Date(roomBoards[0].generated);
+
+  const pomodorosByDay = {};
+  for (const { userStats } of roomResults) {
+    for (const [user, stats] of Object.entries(userStats)) {
+      pomodorosByDay[user] = pomodorosByDay[user] || {};
+      for (const [day, count] of Object.entries(stats.pomodorosByDay)) {
+        pomodorosByDay[user][day] = (pomodorosByDay[user][day] || 0) + count;
+      }
+    }
+  }
+
+  const coworking = summarizeCoworking(mergeCoworkingGraphs(roomResults.map(r => r.coworkingGraph)));
+  const users = mergeRankings(roomBoards.map(b => ({ roomId: b.room.id, users: b.users })))
+    .map(u => ({ ...u, ...calculateStreaks(pomodorosByDay[u.user], now), topCoWorkers: topCoWorkers(coworking, u.user) }));
+
+  const periods = {};
+  for (const key of Object.keys(roomBoards[0].periods)) {
+    const first = roomBoards[0].periods[key];
+    const periodUsers = mergeRankings(roomBoards.map(b => ({ roomId: b.room.id, users: b.periods[key].users })));
+    periods[key] = {
+      label: first.label,
+      from: first.from,
+      to: first.to,
+      totalUsers: periodUsers.length,
+      totalPomodoros: periodUsers.reduce((sum, u) => sum + u.pomodoroCount, 0),
+      completedPomodoros: periodUsers.reduce((sum, u) => sum + u.completedPomodoros, 0),
+      totalWorkMinutes: periodUsers.reduce((sum, u) => sum + u.totalWorkMinutes, 0),
+      users: periodUsers
+    };
+  }
+
+  const activityLog = roomBoards
+    .flatMap(b => b.activityLog.map(a => ({ ...a, room: b.room.id })))
+    .sort((a, b) => new Date(b.time) - new Date(a.time));
+
+  return {
+    generated: roomBoards[0].generated,
+    timezone: TIME_ZONE.name,
+    scoring: SCORING,
+    rooms: roomBoards.map(b => ({
+      id: b.room.id,
+      name: b.room.name,
+      totalUsers: b.totalUsers,
+      totalPomodoros: b.totalPomodoros,
+      completedPomodoros: b.completedPomodoros,
+      currentlyPresent: b.currentlyPresent
+    })),
+    currentlyPresent: [...new Set(roomBoards.flatMap(b => b.currentlyPresent))],
+    totalUsers: users.length,
+    totalPomodoros: roomBoards.reduce((sum, b) => sum + b.totalPomodoros, 0),
+    completedPomodoros: roomBoards.reduce((sum, b) => sum + b.completedPomodoros, 0),
+    totalWorkMinutes: roomBoards.reduce((sum, b) => sum + b.totalWorkMinutes, 0),
+    timerOutcomes: Object.fromEntries(Object.keys(roomBoards[0].timerOutcomes)
+      .map(status => [status, roomBoards.reduce((sum, b) => sum + b.timerOutcomes[status], 0)])),
+    periods,
+    activityLog,
+    coworking,
+    analytics: summarizeRoomAnalytics(mergeRoomAnalytics(roomResults.map(r => r.roomAnalytics))),
+    users
   };
 }
 
-// Main
-function main() {
-  console.log('Processing data for leaderboard...\n');
+// Merge per-room profiles into one profile per user
+function mergeUserProfiles(roomResults) {
+  const merged = {};
 
-  // Load raw data
-  const activities = parseCSV(ACTIVITIES_PATH);
-  const presence = parseCSV(PRESENCE_PATH);
-  const snapshots = parseCSV(SNAPSHOTS_PATH);
+  for (const { board, profiles } of roomResults) {
+    for (const [user, profile] of Object.entries(profiles)) {
+      const m = merged[user] || (merged[user] = createUserProfile());
 
-  console.log(`Activities: ${activities.length}`);
-  console.log(`Presence snapshots: ${presence.length}`);
-  console.log(`Timer snapshots: ${snapshots.length}`);
+      m.sessions.push(...profile.sessions.map(s => ({ ...s, room: board.room.id })));
+      for (const [hour, stats] of Object.entries(profile.hours)) {
+        const h = profileHour(m, new Date(hour));
+        for (const key of Object.keys(h)) h[key] += stats[key];
+      }
+    }
+  }
 
-  if (presence.length === 0 && activities.length === 0) {
-    console.log('\nNo data to process. Run the scraper first.');
-    return;
+  for (const m of Object.values(merged)) {
+    m.sessions.sort((a, b) => new Date(a.joinTime) - new Date(b.joinTime));
+  }
+  return merged;
+}
+
+const roundMinutes = minutes => Math.round(minutes * 10) / 10;
+
+// Write data/users/<name>.json for every ranked user and remove stale ones
+function writeUserProfiles(leaderboard, profiles, rankHistory) {
+  fs.mkdirSync(USERS_DIR, { recursive: true });
+  const written = new Set();
+
+  for (const summary of leaderboard.users) {
+    const profile = profiles[summary.user] || createUserProfile();
+    const fileName = getProfileFileName(summary.user);
+
+    // Days and hours of the day in the reporting timezone; `activity` keeps the
+    // hours themselves so the dashboard can regroup them in another timezone
+    const hours = Object.keys(profile.hours).sort();
+    const daily = {};
+    const hourly = Array.from({ length: 24 }, (_, hour) => ({ hour, presenceMinutes: 0, workMinutes: 0 }));
+    for (const hour of hours) {
+      const stats = profile.hours[hour];
+      const date = new Date(hour);
+      const day = daily[dayKey(date)] || (daily[dayKey(date)] = { presenceMinutes: 0, workMinutes: 0, breakMinutes: 0, pomodoros: 0 });
+      for (const key of Object.keys(day)) day[key] += stats[key];
+      hourly[TIME_ZONE.hour(date)].presenceMinutes += stats.presenceMinutes;
+      hourly[TIME_ZONE.hour(date)].workMinutes += stats.workMinutes;
+    }
+    const rounded = stats => ({
+      ...stats,
+      presenceMinutes: roundMinutes(stats.presenceMinutes),
+      workMinutes: roundMinutes(stats.workMinutes),
+      ...(stats.breakMinutes !== undefined ? { breakMinutes: roundMinutes(stats.breakMinutes) } : {})
+    });
+
+    const data = {
+      generated: leaderboard.generated,
+      timezone: TIME_ZONE.name,
+      user: summary.user,
+      summary,
+      sessions: profile.sessions.map(s => ({ ...s, minutes: roundMinutes(s.minutes) })),
+      daily: Object.fromEntries(Object.entries(daily).map(([day, stats]) => [day, rounded(stats)])),
+      hourly: hourly.map(rounded),
+      activity: hours.map(hour => ({ hour, ...rounded(profile.hours[hour]) })),
+      coWorkers: coWorkersOf(leaderboard.coworking, summary.user),
+      rankHistory: userRankHistory(rankHistory, summary.user),
+      recentTimers: leaderboard.activityLog
+        .filter(a => a.participants.includes(summary.user))
+        .slice(0, PROFILE_RECENT_TIMERS)
+    };
+
+    fs.writeFileSync(path.join(USERS_DIR, fileName), JSON.stringify(data, null, 2));
+    written.add(fileName);
+  }
+
+  for (const fileName of fs.readdirSync(USERS_DIR)) {
+    if (fileName.endsWith('.json') && !written.has(fileName)) {
+      fs.unlinkSync(path.join(USERS_DIR, fileName));
+    }
+  }
+  return written.size;
+}
+
+// Point each ranked user at their profile file
+function withProfileLinks(board) {
+  return {
+    ...board,
+    users: board.users.map(u => ({ ...u, profile: getProfileFileName(u.user) }))
+  };
+}
+
+// Checkpoint settings - a checkpoint is only reused if these match exactly
+function checkpointSettings() {
+  return {
+    version: ALGORITHM_VERSION,
+    gracePeriodMs: GRACE_PERIOD_MS,
+    maxGapMs: MAX_GAP_MS,
+    identity: NAMES.identity
+  };
+}
+
+// Fresh processing state for a room (what a full rebuild starts from)
+function createRoomState() {
+  return {
+    positions: { activities: null, presence: null, snapshots: null },
+    counts: { activities: 0, presence: 0, snapshots: 0 },
+    presence: createPresenceState(),
+    joinEvents: {},
+    timers: [], // as found in the activity feed, before reconciling
+    timerSnapshots: [],
+    timerStops: [],
+    unknownActions: { actions: {}, timePhrases: {} },
+    attributions: {},
+    latestPresence: ''
+  };
+}
+
+function serializeTimer(t) {
+  return {
+    startTime: t.startTime.toISOString(),
+    endTime: t.endTime.toISOString(),
+    type: t.type,
+    duration: t.duration,
+    startedBy: t.startedBy,
+    uncertaintyMs: t.uncertaintyMs,
+    ...(t.inferred ? { inferred: true } : {}),
+    ...(t.plannedEndTime ? { plannedEndTime: t.plannedEndTime.toISOString() } : {}),
+    status: t.status
+  };
+}
+
+function saveCheckpoint(checkpointPath, state) {
+  const checkpoint = {
+    settings: checkpointSettings(),
+    savedAt: new Date().toISOString(),
+    positions: state.positions,
+    counts: state.counts,
+    presence: {
+      previousTime: state.presence.previousTime?.toISOString() || null,
+      previousUsers: state.presence.previousUsers,
+      windows: Object.fromEntries(
+        Object.entries(state.presence.windows).map(([user, windows]) => [
+          user,
+          windows.map(w => ({
+            joinTime: w.joinTime.toISOString(),
+            leaveTime: w.leaveTime?.toISOString() || null,
+            confirmedJoinTime: w.confirmedJoinTime.toISOString(),
+            confirmedLeaveTime: w.confirmedLeaveTime.toISOString()
+          }))
+        ])
+      )
+    },
+    joinEvents: Object.fromEntries(
+      Object.entries(state.joinEvents).map(([user, times]) => [user, times.map(t => t.toISOString())])
+    ),
+    timers: state.timers.map(serializeTimer),
+    timerSnapshots: state.timerSnapshots.map(p => ({
+      time: p.time.toISOString(),
+      endTime: p.endTime.toISOString(),
+      type: p.type
+    })),
+    timerStops: state.timerStops.map(t => t.toISOString()),
+    unknownActions: state.unknownActions,
+    attributions: state.attributions,
+    latestPresence: state.latestPresence
+  };
+  fs.writeFileSync(checkpointPath, JSON.stringify(checkpoint));
+}
+
+// Load a room's checkpoint, or null (with the reason logged) if it can't be used
+function loadCheckpoint(checkpointPath) {
+  if (!fs.existsSync(checkpointPath)) {
+    console.log('No checkpoint found - full rebuild');
+    return null;
+  }
+
+  let checkpoint;
+  try {
+    checkpoint = JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+  } catch (err) {
+    console.log(`Checkpoint unreadable (${err.message}) - full rebuild`);
+    return null;
+  }
+
+  if (JSON.stringify(checkpoint.settings) !== JSON.stringify(checkpointSettings())) {
+    console.log('Checkpoint is from a different algorithm version or settings - full rebuild');
+    return null;
+  }
+
+  const toDate = (iso) => (iso ? new Date(iso) : null);
+  return {
+    positions: checkpoint.positions,
+    counts: checkpoint.counts,
+    presence: {
+      previousTime: toDate(checkpoint.presence.previousTime),
+      previousUsers: checkpoint.presence.previousUsers,
+      windows: Object.fromEntries(
+        Object.entries(checkpoint.presence.windows).map(([user, windows]) => [
+          user,
+          windows.map(w => ({
+            joinTime: toDate(w.joinTime),
+            leaveTime: toDate(w.leaveTime),
+            confirmedJoinTime: toDate(w.confirmedJoinTime),
+            confirmedLeaveTime: toDate(w.confirmedLeaveTime)
+          }))
+        ])
+      )
+    },
+    joinEvents: Object.fromEntries(
+      Object.entries(checkpoint.joinEvents).map(([user, times]) => [user, times.map(toDate)])
+    ),
+    timers: checkpoint.timers.map(t => ({
+      ...t,
+      startTime: toDate(t.startTime),
+      endTime: toDate(t.endTime)
+    })),
+    timerSnapshots: checkpoint.timerSnapshots.map(p => ({
+      ...p,
+      time: toDate(p.time),
+      endTime: toDate(p.endTime)
+    })),
+    timerStops: checkpoint.timerStops.map(toDate),
+    unknownActions: checkpoint.unknownActions,
+    attributions: checkpoint.attributions,
+    latestPresence: checkpoint.latestPresence
+  };
+}
+
+// Read the rows added to each kind of data since `positions`
+// Returns null if any of it was rewritten since then
+function readNewRows(storage, roomId, positions) {
+  const reads = {};
+  for (const kind of ['activities', 'presence', 'snapshots']) {
+    reads[kind] = storage.readNew(roomId, kind, positions[kind]);
+    if (!reads[kind]) return null;
+  }
+  return reads;
+}
+
+// Read the rows recorded by `asOf`, in the same shape as readNewRows
+// Range reads go by TIME_COLUMNS, and a feed row's estimated time is never
+// later than the scrape that recorded it, so the range holds every row needed
+function readRowsUntil(storage, roomId, asOf) {
+  const to = new Date(asOf.getTime() + 1);
+  const reads = {};
+  for (const kind of ['activities', 'presence', 'snapshots']) {
+    const records = storage.read(roomId, kind, { to }).filter(r => new Date(r[ORDER_COLUMNS[kind]]) <= asOf);
+    reads[kind] = { records, position: null };
+  }
+  return reads;
+}
+
+// Process one room's data into its session log and leaderboard
+// With `asOf`, only rows recorded by then are used and nothing is saved (no
+// session log, checkpoint or unknown actions report): the leaderboard as it was.
+function processRoom(storage, room, customRange, { incremental = false, now = new Date(), asOf = null, quiet = false } = {}) {
+  const paths = getRoomPaths(room.id);
+  const log = quiet ? () => {} : console.log;
+  log(`\n--- Room: ${room.id} ---`);
+
+  // Resume from the checkpoint, or start from scratch
+  // (as of a time, from only the rows in range)
+  let state = incremental ? loadCheckpoint(paths.checkpoint) : null;
+  let reads = state && readNewRows(storage, room.id, state.positions);
+  if (state && !reads) {
+    log('Data files changed since checkpoint - full rebuild');
+    state = null;
+  }
+  if (!state) {
+    state = createRoomState();
+    reads = asOf ? readRowsUntil(storage, room.id, asOf) : readNewRows(storage, room.id, state.positions);
+  }
+
+  const activities = NAMES.resolveRecords('activities', reads.activities.records);
+  const presence = NAMES.resolveRecords('presence', reads.presence.records);
+  for (const key of Object.keys(reads)) {
+    state.positions[key] = reads[key].position;
+    state.counts[key] += reads[key].records.length;
+  }
+
+  log(`Activities: ${state.counts.activities} (+${activities.length} new)`);
+  log(`Presence snapshots: ${state.counts.presence} (+${presence.length} new)`);
+  log(`Timer snapshots: ${state.counts.snapshots} (+${reads.snapshots.records.length} new)`);
+
+  if (state.counts.presence === 0 && state.counts.activities === 0) {
+    log('No data to process for this room.');
+    return null;
+  }
+
+  // Feed actions the grammar doesn't know yet, so new message formats get noticed
+  state.unknownActions = collectUnknownActions(activities, state.unknownActions);
+  const unknownCount = asOf ? 0 : writeUnknownActionsReport(paths.unknownActions, state.unknownActions, now);
+  if (unknownCount > 0) {
+    log(`Unrecognised feed actions or times: ${unknownCount} (see ${paths.unknownActions})`);
   }
 
   // Extract timer events from activity feed
-  const timers = extractTimerEvents(activities);
-  console.log(`\nTimers found: ${timers.length}`);
+  // (stable sort keeps ties in file order, same as a full rebuild)
+  state.timers = [...state.timers, ...extractTimerEvents(activities)]
+    .sort((a, b) => a.startTime - b.startTime);
+  log(`\nTimers found: ${state.timers.length}`);
+
+  // Cross-check against timer snapshots - redone over all data every run, since
+  // a new snapshot or feed row can change how earlier ones match up
+  state.timerSnapshots.push(...extractTimerSnapshots(reads.snapshots.records));
+  state.timerStops.push(...extractTimerStops(reads.snapshots.records));
+  const reconciled = reconcileTimers(state.timers, state.timerSnapshots);
+  log(`Reconciled with timer snapshots: ${reconciled.corrected} start times corrected, ` +
+    `${reconciled.inferred} missed timers added, ${reconciled.duplicates} duplicates dropped`);
 
   // Extract precise join events from activity feed
-  const joinEvents = extractJoinEvents(activities);
-  console.log(`Users with join events: ${Object.keys(joinEvents).length}`);
+  for (const [user, times] of Object.entries(extractJoinEvents(activities))) {
+    state.joinEvents[user] = [...(state.joinEvents[user] || []), ...times];
+  }
+  log(`Users with join events: ${Object.keys(state.joinEvents).length}`);
 
   // Build presence windows for each user
-  const userWindows = buildPresenceWindows(presence, joinEvents);
-  console.log(`Users with presence windows: ${Object.keys(userWindows).length}`);
+  for (const snapshot of presence) {
+    addPresenceSnapshot(state.presence, snapshot, state.joinEvents);
+  }
+  if (presence.length > 0) {
+    state.latestPresence = presence[presence.length - 1].users;
+  }
+  const userWindows = closePresenceWindows(state.presence, now);
+  log(`Users with presence windows: ${Object.keys(userWindows).length}`);
+
+  // Cut timers short where a later start or a stopped timer says they ended early
+  const settled = settleTimers(reconciled.timers, state.timerStops, userWindows, now);
+  const timers = settled.timers;
+  log(`Timer outcomes: ${settled.completed} completed, ${settled.interrupted} interrupted, ` +
+    `${settled.abandoned} abandoned, ${settled.running} running`);
+
+  // Only join events after the last snapshot can still be matched to a window
+  const horizon = state.presence.previousTime;
+  if (horizon) {
+    for (const user of Object.keys(state.joinEvents)) {
+      state.joinEvents[user] = state.joinEvents[user].filter(t => t > horizon);
+      if (state.joinEvents[user].length === 0) delete state.joinEvents[user];
+    }
+  }
+
+  // Attribute timers, reusing cached attributions
+  // Windows before the last snapshot are final, so a timer that (with its grace
+  // period) was over by then is settled and its attribution can be cached.
+  // Attribution only depends on when a timer ran, so the cache is keyed by that.
+  let cachedCount = 0;
+  const attributionCache = {};
+  const attributions = timers.map(timer => {
+    const key = `${timer.startTime.toISOString()}|${timer.endTime.toISOString()}`;
+    if (state.attributions[key]) {
+      cachedCount++;
+      attributionCache[key] = state.attributions[key];
+      return state.attributions[key];
+    }
+    const attribution = attributeTimer(userWindows, timer);
+    if (horizon && timer.endTime <= horizon && timer.startTime.getTime() + GRACE_PERIOD_MS <= horizon.getTime()) {
+      attributionCache[key] = attribution;
+    }
+    return attribution;
+  });
+  state.attributions = attributionCache;
+  log(`Timer attributions: ${timers.length - cachedCount} computed, ${cachedCount} from checkpoint`);
 
   // Calculate stats
-  const userStats = calculateUserStats(userWindows, timers);
-  console.log(`Users tracked: ${Object.keys(userStats).length}`);
+  const userStats = calculateUserStats(userWindows, timers, attributions);
+  log(`Users tracked: ${Object.keys(userStats).length}`);
 
   // Save session log (intermediate format for debugging)
   const sessionLog = {
-    lastUpdated: new Date().toISOString(),
+    lastUpdated: now.toISOString(),
     timerCount: timers.length,
-    timers: timers.map(t => ({
-      startTime: t.startTime.toISOString(),
-      endTime: t.endTime.toISOString(),
-      type: t.type,
-      duration: t.duration,
-      startedBy: t.startedBy
-    })),
+    timers: timers.map(serializeTimer),
     userWindows: Object.fromEntries(
       Object.entries(userWindows).map(([user, windows]) => [
         user,
         windows.map(w => ({
           joinTime: w.joinTime.toISOString(),
           leaveTime: w.leaveTime.toISOString(),
+          confirmedJoinTime: w.confirmedJoinTime.toISOString(),
+          confirmedLeaveTime: w.confirmedLeaveTime.toISOString(),
           stillPresent: w.stillPresent || false
         }))
       ])
     ),
     userStats
   };
-  fs.writeFileSync(SESSION_LOG_PATH, JSON.stringify(sessionLog, null, 2));
-  console.log(`\nSession log saved to: ${SESSION_LOG_PATH}`);
+  if (!asOf) {
+    fs.writeFileSync(paths.sessionLog, JSON.stringify(sessionLog, null, 2));
+    log(`\nSession log saved to: ${paths.sessionLog}`);
 
-  // Get latest presence snapshot for accurate "currently present"
-  const latestPresence = presence.length > 0
-    ? presence[presence.length - 1].users
-    : '';
+    saveCheckpoint(paths.checkpoint, state);
+    log(`Checkpoint saved to: ${paths.checkpoint}`);
+  }
 
   // Generate leaderboard
-  const leaderboard = generateLeaderboard(userStats, latestPresence, timers, userWindows);
-  fs.writeFileSync(LEADERBOARD_PATH, JSON.stringify(leaderboard, null, 2));
-  console.log(`Leaderboard saved to: ${LEADERBOARD_PATH}`);
+  // (latest presence snapshot gives the most accurate "currently present")
+  const coworkingGraph = buildCoworkingGraph(userWindows, timers, attributions);
+  const roomAnalytics = buildRoomAnalytics(userWindows, timers, attributions);
+  const leaderboard = generateLeaderboard({
+    userStats,
+    latestPresence: state.latestPresence,
+    timers,
+    attributions,
+    userWindows,
+    customRange,
+    now,
+    coworkingGraph,
+    roomAnalytics
+  });
+  return {
+    board: { room: { id: room.id, name: room.name }, ...leaderboard },
+    userStats,
+    coworkingGraph,
+    roomAnalytics,
+    profiles: buildUserProfiles(userWindows, timers, attributions)
+  };
+}
+
+// Record a board's standings for `day` in its rank history file; returns the
+// history and the board with each user's rank on the previous recorded day
+// (previousRank, null for users who weren't ranked then)
+function updateRankHistory(file, board, day) {
+  const history = readRankHistory(file, SCORING.rankBy);
+  const previous = previousRanks(history, day);
+  const updated = recordRanks(history, day, board.users);
+  writeRankHistory(file, updated);
+
+  if (!previous) return { history: updated, board };
+  return {
+    history: updated,
+    board: {
+      ...board,
+      previousRankDay: previous.day,
+      users: board.users.map(u => ({ ...u, previousRank: previous.ranks[u.user] ?? null }))
+    }
+  };
+}
+
+// Recompute every rank history from the recorded data: the leaderboard as of
+// the end of each day before today that has data, replacing what was recorded
+function rebuildRankHistories(storage, rooms, now) {
+  const rowTimes = rooms.flatMap(room => ['activities', 'presence'].flatMap(kind => {
+    const records = storage.read(room.id, kind);
+    return [records[0], records[records.length - 1]].filter(Boolean).map(r => r[ORDER_COLUMNS[kind]]);
+  })).sort();
+  const combined = { file: RANK_HISTORY_PATH, history: createRankHistory(SCORING.rankBy) };
+  const perRoom = Object.fromEntries(rooms.map(room =>
+    [room.id, { file: getRoomPaths(room.id).rankHistory, history: createRankHistory(SCORING.rankBy) }]));
+
+  let days = 0;
+  const today = dayKey(now);
+  const lastDay = rowTimes.length > 0 ? dayKey(new Date(rowTimes[rowTimes.length - 1])) : today;
+  for (let day = rowTimes.length > 0 ? dayKey(new Date(rowTimes[0])) : today; day < today && day <= lastDay; day = nextDayKey(day)) {
+    const asOf = new Date(TIME_ZONE.startOfDayKey(nextDayKey(day)).getTime() - 1);
+    const results = rooms
+      .map(room => processRoom(storage, room, null, { now: asOf, asOf, quiet: true }))
+      .filter(Boolean);
+    if (results.length === 0) continue;
+
+    combined.history = recordRanks(combined.history, day, combineLeaderboards(results).users);
+    for (const { board } of results) {
+      perRoom[board.room.id].history = recordRanks(perRoom[board.room.id].history, day, board.users);
+    }
+    days++;
+  }
+
+  for (const { file, history } of [combined, ...Object.values(perRoom)]) {
+    writeRankHistory(file, history);
+  }
+  console.log(`Rank history rebuilt: ${days} day(s) replayed, ${Object.keys(combined.history.days).length} with changes`);
+}
+
+// Rank movement since the previous recorded day, e.g. "up 2", "new"
+function formatRankMove(previousRank, rank) {
+  if (previousRank === null) return 'new';
+  if (previousRank === rank) return 'same';
+  return previousRank > rank ? `up ${previousRank - rank}` : `down ${rank - previousRank}`;
+}
+
+// The leaderboard.json about to be replaced, or null on the first run
+function readPreviousLeaderboard() {
+  if (!fs.existsSync(LEADERBOARD_PATH)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(LEADERBOARD_PATH, 'utf8'));
+  } catch (err) {
+    console.log(`Previous leaderboard unreadable (${err.message}) - no notifications this run`);
+    return null;
+  }
+}
+
+// Main
+function main() {
+  const { values: args } = parseArgs({
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      incremental: { type: 'boolean', default: false },
+      now: { type: 'string' },
+      'as-of': { type: 'string' },
+      'rebuild-history': { type: 'boolean', default: false }
+    }
+  });
+  if (args['as-of'] && (args.incremental || args.now || args['rebuild-history'])) {
+    throw new Error('--as-of can\'t be combined with --incremental, --now or --rebuild-history');
+  }
+  // --now pins the current time, for reproducible output; --as-of goes back to
+  // a past time, using only the data recorded by then
+  const asOf = args['as-of'] ? parseRangeDate(args['as-of'], '--as-of') : null;
+  const now = asOf || (args.now ? parseRangeDate(args.now, '--now') : new Date());
+  const customRange = getCustomRange(args, now);
+  const notifications = getNotificationConfig();
+
+  console.log(asOf ? `Processing data for leaderboard as of ${now.toISOString()}...` : 'Processing data for leaderboard...');
+
+  const rooms = getRooms();
+  const storage = openStorage();
+  let roomResults;
+  try {
+    if (args['rebuild-history']) {
+      rebuildRankHistories(storage, rooms, now);
+    }
+    roomResults = rooms
+      .map(room => processRoom(storage, room, customRange, { incremental: args.incremental, now, asOf }))
+      .filter(Boolean);
+  } finally {
+    storage.close();
+  }
+
+  if (roomResults.length === 0) {
+    console.log('\nNo data to process. Run the scraper first.');
+    return;
+  }
+
+  const previous = asOf ? null : readPreviousLeaderboard();
+  let leaderboard = combineLeaderboards(roomResults);
+
+  if (asOf) {
+    // A look back leaves the current leaderboard, profiles and rank history alone
+    const asOfPath = path.join(AS_OF_DIR, `${now.toISOString().slice(0, 19).replace(/:/g, '-')}Z.json`);
+    fs.mkdirSync(AS_OF_DIR, { recursive: true });
+    fs.writeFileSync(asOfPath, JSON.stringify(leaderboard, null, 2));
+    console.log(`\nLeaderboard as of ${now.toISOString()} saved to: ${asOfPath}`);
+  } else {
+    // Every leaderboard carries the room list so the dashboard can switch rooms
+    const day = dayKey(now);
+    const roomList = leaderboard.rooms.map(r => ({ id: r.id, name: r.name }));
+
+    for (const result of roomResults) {
+      const roomPaths = getRoomPaths(result.board.room.id);
+      const { board } = updateRankHistory(roomPaths.rankHistory, result.board, day);
+      fs.writeFileSync(roomPaths.leaderboard, JSON.stringify(withProfileLinks({ ...board, rooms: roomList }), null, 2));
+      console.log(`Room leaderboard saved to: ${roomPaths.leaderboard}`);
+    }
+
+    const ranked = updateRankHistory(RANK_HISTORY_PATH, leaderboard, day);
+    leaderboard = ranked.board;
+    console.log(`Rank history saved to: ${RANK_HISTORY_PATH}`);
+
+    fs.writeFileSync(LEADERBOARD_PATH, JSON.stringify(withProfileLinks(leaderboard), null, 2));
+    console.log(`Leaderboard saved to: ${LEADERBOARD_PATH}`);
+
+    const profileCount = writeUserProfiles(leaderboard, mergeUserProfiles(roomResults), ranked.history);
+    console.log(`User profiles saved to: ${USERS_DIR} (${profileCount})`);
+  }
 
   // Print summary
+  if (leaderboard.rooms.length > 1) {
+    console.log('\n=== Rooms ===');
+    for (const room of leaderboard.rooms) {
+      console.log(`${room.id}: ${room.totalUsers} users, ${room.totalPomodoros} pomodoros, ${room.currentlyPresent.length} online`);
+    }
+  }
+
   console.log('\n=== Currently Present ===');
   if (leaderboard.currentlyPresent.length > 0) {
     console.log(leaderboard.currentlyPresent.join(', '));
@@ -488,11 +1985,74 @@ function main() {
     console.log('No one currently in room');
   }
 
-  console.log('\n=== Top 5 by Presence Time ===');
+  console.log(`\n=== Top 5 by ${RANKING_NAMES[SCORING.rankBy]} ===`);
   leaderboard.users.slice(0, 5).forEach((u, i) => {
     const status = u.currentlyPresent ? ' (online)' : '';
-    console.log(`${i + 1}. ${u.user}${status}: ${formatDuration(u.totalPresenceMinutes)} presence, ${u.pomodoroCount} pomodoros, ${formatDuration(u.totalWorkMinutes)} work`);
+    const points = u.points !== undefined ? `, ${u.points} points` : '';
+    const move = u.previousRank === undefined ? '' : ` [${formatRankMove(u.previousRank, i + 1)}]`;
+    console.log(`${i + 1}. ${u.user}${status}${move}: ${formatDuration(u.totalPresenceMinutes)} presence (${formatDuration(u.conservativePresenceMinutes)} confirmed), ${u.pomodoroCount} pomodoros (${u.completedPomodoros} completed), ${formatDuration(u.totalWorkMinutes)} work${points}`);
+  });
+
+  const outcomes = leaderboard.timerOutcomes;
+  console.log(`\nWork timers: ${outcomes.completed} completed, ${outcomes.interrupted} interrupted, ` +
+    `${outcomes.abandoned} abandoned, ${outcomes.running} running`);
+
+  console.log('\n=== Periods ===');
+  for (const period of Object.values(leaderboard.periods)) {
+    const leader = period.users[0];
+    console.log(`${period.label}: ${period.totalUsers} users, ${period.totalPomodoros} pomodoros (${period.completedPomodoros} completed)` +
+      (leader ? ` - leader ${leader.user} (${formatRankingValue(leader)})` : ''));
+  }
+
+  const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+  console.log(`\n=== Busiest Hours (${TIME_ZONE.name}) ===`);
+  leaderboard.analytics.peakHours.forEach(p => {
+    console.log(`${WEEKDAYS[p.weekday]} ${String(p.hour).padStart(2, '0')}:00: ${p.averagePeople} people on average`);
   });
+  console.log(`Average session: ${formatDuration(leaderboard.analytics.averageSessionMinutes)} over ${leaderboard.analytics.sessions} sessions`);
+
+  console.log('\n=== Co-working ===');
+  leaderboard.coworking.pairs.slice(0, 3).forEach(p => {
+    console.log(`${p.users.join(' & ')}: ${formatDuration(p.workMinutes)} together, ${p.pomodoros} pomodoros`);
+  });
+  console.log(`Recurring groups: ${leaderboard.coworking.groups.length}` +
+    (leaderboard.coworking.groups[0] ? ` - most often ${leaderboard.coworking.groups[0].users.join(', ')} (${leaderboard.coworking.groups[0].pomodoros} pomodoros)` : ''));
+
+  if (!asOf && notifications.webhooks.length > 0) {
+    console.log('\n=== Notifications ===');
+    notifyChanges(previous, leaderboard, notifications)
+      .then(({ events, sent, failed }) => {
+        // A failed webhook is reported, but doesn't fail the run
+        console.log(events.length === 0 ? 'Nothing new to notify' : `Sent ${sent} notification(s)${failed ? `, ${failed} failed` : ''}`);
+      })
+      // Nor does one that couldn't be built: the leaderboard is already saved
+      .catch(err => console.error(`Notifications failed: ${err.stack}`));
+  }
 }
 
-main();
+module.exports = {
+  extractTimerEvents,
+  extractJoinEvents,
+  extractTimerSnapshots,
+  reconcileTimers,
+  extractTimerStops,
+  settleTimers,
+  buildPresenceWindows,
+  eligibleForTimerCount,
+  calculateOverlap,
+  attributeTimer,
+  calculateUserStats,
+  calculatePoints,
+  rankingValue,
+  formatDuration,
+  calculateStreaks,
+  buildCoworkingGraph,
+  summarizeCoworking,
+  buildRoomAnalytics,
+  summarizeRoomAnalytics,
+  generateLeaderboard
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,65 @@
+// Raw data archives
+// compact.js moves old rows out of a room's activities.csv, presence.csv and
+// snapshots.csv into one directory per month under data/rooms/<room>/archive/:
+//
+//   archive/2026-01/activities.csv, presence.csv, snapshots.csv  same columns
+//   archive/2026-01/summary.json                                 aggregates
+//
+// The archived rows are the start of each file, so the archives (oldest month
+// first) followed by the live file hold exactly the rows the file did. The CSV
+// storage backend reads them that way, and the leaderboard sees no difference.
+
+const fs = require('fs');
+const path = require('path');
+const { getRoomPaths } = require('./config');
+const { readCSV } = require('./csv');
+
+const MONTH = /^\d{4}-\d\d$/;
+
+// Column each data file is appended in order of (activities are appended per
+// scrape, so their feed times can run backwards)
+const ORDER_COLUMNS = {
+  activities: 'scrape_time',
+  presence: 'timestamp',
+  snapshots: 'timestamp'
+};
+
+function getArchivePaths(roomId, month) {
+  const dir = path.join(getRoomPaths(roomId).archive, month);
+  return {
+    dir,
+    activities: path.join(dir, 'activities.csv'),
+    presence: path.join(dir, 'presence.csv'),
+    snapshots: path.join(dir, 'snapshots.csv'),
+    summary: path.join(dir, 'summary.json')
+  };
+}
+
+// Archived months of a room, oldest first
+function listArchiveMonths(roomId) {
+  const dir = getRoomPaths(roomId).archive;
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(name => MONTH.test(name)).sort();
+}
+
+// All archived records of one kind, in their original order
+function readArchive(roomId, kind, months = listArchiveMonths(roomId)) {
+  return months.flatMap(month => readCSV(getArchivePaths(roomId, month)[kind]));
+}
+
+// Start of the month after the last archived one (ISO), or null if nothing is archived
+// Rows from before it are in the archives, later rows in the live files
+function archivedUntil(roomId) {
+  const months = listArchiveMonths(roomId);
+  if (months.length === 0) return null;
+  const [year, month] = months[months.length - 1].split('-').map(Number);
+  return new Date(Date.UTC(year, month, 1)).toISOString();
+}
+
+module.exports = {
+  ORDER_COLUMNS,
+  getArchivePaths,
+  listArchiveMonths,
+  readArchive,
+  archivedUntil
+};
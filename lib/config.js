@@ -0,0 +1,348 @@
+// Shared configuration
+// Reads cuckoo.config.json (optional) with environment variable overrides
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const CONFIG_PATH = process.env.CUCKOO_CONFIG || path.join(ROOT_DIR, 'cuckoo.config.json');
+const DATA_DIR = process.env.CUCKOO_DATA_DIR
+  ? path.resolve(process.env.CUCKOO_DATA_DIR)
+  : path.join(ROOT_DIR, 'data');
+const ROOMS_DIR = path.join(DATA_DIR, 'rooms');
+const USERS_DIR = path.join(DATA_DIR, 'users');
+
+const DEFAULT_ROOM = { id: 'EAGatherTownTimerEAA1', name: 'EA Gather Town Timer Room' };
+const DEFAULT_BASE_URL = 'https://cuckoo.team';
+
+// Column layout of each room's raw data files
+const CSV_HEADERS = {
+  activities: ['estimated_time', 'scrape_time', 'user', 'action', 'time_ago_raw'],
+  presence: ['timestamp', 'user_count', 'users'],
+  snapshots: ['timestamp', 'timer_running', 'timer_value', 'session_type']
+};
+
+// Column each data file is ordered and range-queried by
+const TIME_COLUMNS = {
+  activities: 'estimated_time',
+  presence: 'timestamp',
+  snapshots: 'timestamp'
+};
+
+const DEFAULT_DB_PATH = path.join(DATA_DIR, 'cuckoo.db');
+
+// Leaderboard rules, overridable in the config file "scoring" section
+// Points are a weighted sum: per pomodoro, per hour of work or presence, per
+// timer started and per work session attended from start to end
+const RANKING_METRICS = ['presence', 'work', 'pomodoros', 'points'];
+const DEFAULT_SCORING = {
+  rankBy: 'presence',
+  gracePeriodMinutes: 5,
+  maxGapMinutes: 30,
+  points: {
+    pomodoro: 10,
+    workHour: 0,
+    presenceHour: 2,
+    timerStarted: 2,
+    fullSession: 5
+  }
+};
+
+// Load the config file, or an empty config if there isn't one
+function loadConfig() {
+  if (!fs.existsSync(CONFIG_PATH)) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not parse ${CONFIG_PATH}: ${err.message}`);
+  }
+}
+
+// Normalize a room entry: either "RoomId" or { id, name }
+function normalizeRoom(entry) {
+  const room = typeof entry === 'string' ? { id: entry } : { ...entry };
+  room.id = (room.id || '').trim();
+
+  // Room ids become directory names, so keep them to safe characters
+  if (!/^[\w-]+$/.test(room.id)) {
+    throw new Error(`Invalid room id: "${room.id}"`);
+  }
+  room.name = room.name || room.id;
+  return room;
+}
+
+// Rooms to track, in priority order:
+// CUCKOO_ROOMS (comma-separated) > CUCKOO_ROOM > config file > default room
+function getRooms(config = loadConfig()) {
+  let entries = [];
+
+  if (process.env.CUCKOO_ROOMS) {
+    entries = process.env.CUCKOO_ROOMS.split(',').filter(r => r.trim());
+  } else if (process.env.CUCKOO_ROOM) {
+    entries = [process.env.CUCKOO_ROOM];
+  } else if (Array.isArray(config.rooms) && config.rooms.length > 0) {
+    entries = config.rooms;
+  } else {
+    entries = [DEFAULT_ROOM];
+  }
+
+  const rooms = entries.map(normalizeRoom);
+
+  // Pick up display names from the config file for rooms given via env
+  const configured = (config.rooms || []).map(normalizeRoom);
+  for (const room of rooms) {
+    const match = configured.find(r => r.id === room.id);
+    if (match && room.name === room.id) room.name = match.name;
+  }
+
+  return rooms;
+}
+
+// Cuckoo site to scrape, in priority order:
+// CUCKOO_BASE_URL env > config file "baseUrl" > cuckoo.team
+// (pointed at fake-cuckoo.js to run the scraper offline)
+function getBaseUrl(config = loadConfig()) {
+  const baseUrl = process.env.CUCKOO_BASE_URL || config.baseUrl || DEFAULT_BASE_URL;
+
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch (err) {
+    throw new Error(`Invalid base URL: "${baseUrl}"`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`Invalid base URL: "${baseUrl}" (expected http or https)`);
+  }
+
+  // Room ids are appended as path segments
+  return url.href.replace(/\/+$/, '');
+}
+
+// Timezone for day, week and month boundaries, streaks and hour-of-day charts,
+// in priority order: CUCKOO_TIMEZONE env > config file "timezone" > UTC
+function getTimezone(config = loadConfig()) {
+  const timeZone = process.env.CUCKOO_TIMEZONE || config.timezone || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (err) {
+    throw new Error(`Unknown timezone: "${timeZone}" (expected an IANA name like "Europe/London")`);
+  }
+  return timeZone;
+}
+
+// Storage backend for raw data, in priority order:
+// CUCKOO_STORAGE / CUCKOO_DB_PATH env > config file "storage" > CSV files
+function getStorageConfig(config = loadConfig()) {
+  const storage = config.storage || {};
+  const backend = process.env.CUCKOO_STORAGE || storage.backend || 'csv';
+
+  if (!['csv', 'sqlite'].includes(backend)) {
+    throw new Error(`Unknown storage backend: "${backend}" (expected "csv" or "sqlite")`);
+  }
+
+  const dbPath = process.env.CUCKOO_DB_PATH || storage.path;
+  return {
+    backend,
+    dbPath: dbPath ? path.resolve(ROOT_DIR, dbPath) : DEFAULT_DB_PATH
+  };
+}
+
+// Raw data compaction from the config file "archive" section: rows older than
+// afterDays are moved to per-month archives (whole months only, see compact.js)
+const DEFAULT_ARCHIVE_AFTER_DAYS = 90;
+
+function getArchiveConfig(config = loadConfig()) {
+  const archive = config.archive || {};
+  const afterDays = archive.afterDays ?? DEFAULT_ARCHIVE_AFTER_DAYS;
+  if (typeof afterDays !== 'number' || !Number.isFinite(afterDays) || afterDays < 0) {
+    throw new Error(`Invalid archive.afterDays: ${JSON.stringify(afterDays)} (expected a number of at least 0)`);
+  }
+  return { afterDays };
+}
+
+// User identity settings from the config file "users" section:
+// aliases maps each canonical name to the other display names of the same
+// person, ignore lists names (e.g. test accounts) to leave out entirely
+function getIdentityConfig(config = loadConfig()) {
+  const users = config.users || {};
+  const aliases = {};
+  const ignore = [...new Set((users.ignore || []).map(name => String(name).trim()).filter(Boolean))].sort();
+  const owners = new Map(); // lower-cased name -> canonical name it belongs to
+
+  const claim = (name, canonical) => {
+    const key = name.toLowerCase();
+    if (owners.has(key) && owners.get(key) !== canonical) {
+      throw new Error(`User name "${name}" is listed under both "${owners.get(key)}" and "${canonical}"`);
+    }
+    owners.set(key, canonical);
+  };
+
+  for (const canonical of Object.keys(users.aliases || {}).sort()) {
+    const list = users.aliases[canonical];
+    if (!Array.isArray(list)) {
+      throw new Error(`Aliases for "${canonical}" must be a list of names`);
+    }
+    claim(canonical, canonical);
+    aliases[canonical] = [...new Set(list.map(name => String(name).trim()).filter(Boolean))].sort();
+    aliases[canonical].forEach(name => claim(name, canonical));
+  }
+
+  for (const name of ignore) {
+    if (owners.has(name.toLowerCase())) {
+      throw new Error(`User name "${name}" is both aliased and ignored`);
+    }
+  }
+
+  return { aliases, ignore };
+}
+
+// A numeric setting, or its fallback if unset; `name` is its path in the config file
+function configNumber(value, fallback, name, min = -Infinity) {
+  if (value === undefined) return fallback;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min) {
+    const expected = min > -Infinity ? `a number of at least ${min}` : 'a number';
+    throw new Error(`Invalid ${name}: ${JSON.stringify(value)} (expected ${expected})`);
+  }
+  return value;
+}
+
+// Scoring rules from the config file "scoring" section, filled in with defaults
+function getScoringConfig(config = loadConfig()) {
+  const scoring = config.scoring || {};
+  const rankBy = scoring.rankBy || DEFAULT_SCORING.rankBy;
+  if (!RANKING_METRICS.includes(rankBy)) {
+    throw new Error(`Unknown ranking metric: "${rankBy}" (expected ${RANKING_METRICS.map(m => `"${m}"`).join(', ')})`);
+  }
+
+  const number = (value, fallback, name, min) => configNumber(value, fallback, `scoring.${name}`, min);
+
+  const points = {};
+  for (const key of Object.keys(scoring.points || {})) {
+    if (!(key in DEFAULT_SCORING.points)) {
+      throw new Error(`Unknown scoring.points.${key} (expected ${Object.keys(DEFAULT_SCORING.points).join(', ')})`);
+    }
+  }
+  for (const [key, fallback] of Object.entries(DEFAULT_SCORING.points)) {
+    points[key] = number(scoring.points?.[key], fallback, `points.${key}`);
+  }
+
+  return {
+    rankBy,
+    gracePeriodMinutes: number(scoring.gracePeriodMinutes, DEFAULT_SCORING.gracePeriodMinutes, 'gracePeriodMinutes', 0),
+    maxGapMinutes: number(scoring.maxGapMinutes, DEFAULT_SCORING.maxGapMinutes, 'maxGapMinutes', 1),
+    points
+  };
+}
+
+// Webhook notifications from the config file "notifications" section
+// Webhook URLs are secrets, so they can also come from CUCKOO_WEBHOOK_URLS
+// (comma-separated), which adds webhooks for every event.
+// A webhook's format is "discord", "slack" or "json" (guessed from the URL if unset).
+const NOTIFICATION_EVENTS = ['room-occupied', 'work-started', 'milestone', 'weekly-leader'];
+const DEFAULT_MILESTONES = [10, 25, 50, 100, 250, 500, 1000];
+
+function getNotificationConfig(config = loadConfig()) {
+  const notifications = config.notifications || {};
+  const entries = [
+    ...(notifications.webhooks || []),
+    ...(process.env.CUCKOO_WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean)
+  ];
+
+  const webhooks = entries.map(entry => {
+    const webhook = typeof entry === 'string' ? { url: entry } : { ...entry };
+    try {
+      new URL(webhook.url);
+    } catch (err) {
+      throw new Error(`Invalid webhook URL: "${webhook.url}"`);
+    }
+
+    if (!webhook.format) {
+      webhook.format = /discord(app)?\.com\/api\/webhooks/.test(webhook.url) ? 'discord'
+        : /hooks\.slack\.com/.test(webhook.url) ? 'slack'
+          : 'json';
+    }
+    if (!['discord', 'slack', 'json'].includes(webhook.format)) {
+      throw new Error(`Unknown webhook format: "${webhook.format}" (expected "discord", "slack" or "json")`);
+    }
+
+    webhook.events = webhook.events || NOTIFICATION_EVENTS;
+    for (const event of webhook.events) {
+      if (!NOTIFICATION_EVENTS.includes(event)) {
+        throw new Error(`Unknown notification event: "${event}" (expected ${NOTIFICATION_EVENTS.join(', ')})`);
+      }
+    }
+    return webhook;
+  });
+
+  for (const event of Object.keys(notifications.messages || {})) {
+    if (!NOTIFICATION_EVENTS.includes(event)) {
+      throw new Error(`Unknown notification event: "${event}" (expected ${NOTIFICATION_EVENTS.join(', ')})`);
+    }
+  }
+
+  const milestones = notifications.milestones ?? DEFAULT_MILESTONES;
+  if (!Array.isArray(milestones)) {
+    throw new Error(`Invalid notifications.milestones: ${JSON.stringify(milestones)} (expected a list of pomodoro counts)`);
+  }
+  milestones.forEach((m, idx) => configNumber(m, null, `notifications.milestones[${idx}]`, 1));
+
+  return {
+    webhooks,
+    workTimerMinPeople: configNumber(notifications.workTimerMinPeople, 2, 'notifications.workTimerMinPeople', 1),
+    milestones: [...milestones].sort((a, b) => a - b),
+    messages: notifications.messages || {}
+  };
+}
+
+// Paths to a room's data files
+function getRoomPaths(roomId) {
+  const dir = path.join(ROOMS_DIR, roomId);
+  return {
+    dir,
+    activities: path.join(dir, 'activities.csv'),
+    presence: path.join(dir, 'presence.csv'),
+    snapshots: path.join(dir, 'snapshots.csv'),
+    screenshot: path.join(dir, 'latest-screenshot.png'),
+    archive: path.join(dir, 'archive'),
+    sessionLog: path.join(dir, 'session_log.json'),
+    checkpoint: path.join(dir, 'checkpoint.json'),
+    unknownActions: path.join(dir, 'unknown_actions.json'),
+    leaderboard: path.join(dir, 'leaderboard.json'),
+    rankHistory: path.join(dir, 'rank_history.json')
+  };
+}
+
+// File name of a user's profile in USERS_DIR
+// Names are free text and may differ only in case, so a hash keeps them apart
+function getProfileFileName(user) {
+  const slug = user.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'user';
+  const hash = crypto.createHash('sha1').update(user).digest('hex').slice(0, 8);
+  return `${slug}-${hash}.json`;
+}
+
+module.exports = {
+  ROOT_DIR,
+  DATA_DIR,
+  ROOMS_DIR,
+  USERS_DIR,
+  DEFAULT_ROOM,
+  DEFAULT_BASE_URL,
+  CSV_HEADERS,
+  TIME_COLUMNS,
+  RANKING_METRICS,
+  DEFAULT_SCORING,
+  NOTIFICATION_EVENTS,
+  loadConfig,
+  getRooms,
+  getBaseUrl,
+  getTimezone,
+  getStorageConfig,
+  getArchiveConfig,
+  getIdentityConfig,
+  getScoringConfig,
+  getNotificationConfig,
+  getRoomPaths,
+  getProfileFileName
+};
@@ -0,0 +1,196 @@
+// RFC 4180 CSV reading and writing
+// Fields containing commas, quotes or line breaks are quoted, with quotes doubled
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Parse CSV text into rows, each { values, line } with the line it starts on
+// Blank lines are skipped; throws on malformed quoting
+function parseCSVRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let afterQuote = false;
+  let atFieldStart = true;
+  let line = 1;
+  let rowLine = 1;
+  let quoteLine = 0;
+
+  const endRow = () => {
+    row.push(field);
+    // A blank line parses as a single empty field
+    if (row.length > 1 || row[0] !== '') rows.push({ values: row, line: rowLine });
+    row = [];
+    field = '';
+    atFieldStart = true;
+    rowLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+        afterQuote = true;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    // A closing quote must end the field
+    if (afterQuote && char !== ',' && char !== '\n' && char !== '\r') {
+      throw new Error(`Unexpected character after closing quote on line ${line}`);
+    }
+    afterQuote = false;
+
+    if (char === '"' && atFieldStart) {
+      inQuotes = true;
+      quoteLine = line;
+      atFieldStart = false;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+      atFieldStart = true;
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      endRow();
+    } else {
+      // Quotes in the middle of an unquoted field are kept as-is
+      field += char;
+      atFieldStart = false;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${quoteLine}`);
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+}
+
+// Parse CSV text into rows (arrays of strings)
+function parseCSV(text) {
+  return parseCSVRows(text).map(row => row.values);
+}
+
+// Read a CSV file into an array of objects keyed by header
+function readCSV(csvPath) {
+  if (!fs.existsSync(csvPath)) return [];
+
+  const [headers, ...rows] = parseCSV(fs.readFileSync(csvPath, 'utf8'));
+  if (!headers) return [];
+
+  return rows.map(values => {
+    const record = {};
+    headers.forEach((h, idx) => {
+      record[h.trim()] = values[idx] ?? '';
+    });
+    return record;
+  });
+}
+
+// Hash of the bytes just before `offset`, used to notice files rewritten since a previous read
+function tailSignature(fd, offset) {
+  const length = Math.min(64, offset);
+  const buffer = Buffer.alloc(length);
+  fs.readSync(fd, buffer, 0, length, offset - length);
+  return crypto.createHash('sha1').update(buffer).digest('hex');
+}
+
+// Read records appended to a CSV file since a previous read
+// `position` is what the previous call returned (null to start after the header).
+// Returns { records, position }, or null if the file no longer matches `position`
+// (truncated or rewritten). Only complete lines are consumed.
+function readCSVFrom(csvPath, position = null) {
+  if (!fs.existsSync(csvPath)) {
+    return position && position.offset > 0 ? null : { records: [], position: null };
+  }
+
+  const fd = fs.openSync(csvPath, 'r');
+  try {
+    const size = fs.fstatSync(fd).size;
+
+    // Header is always the first line
+    const head = Buffer.alloc(Math.min(size, 4096));
+    fs.readSync(fd, head, 0, head.length, 0);
+    const headerEnd = head.indexOf('\n');
+    if (headerEnd === -1) return { records: [], position: null };
+    const headers = parseCSV(head.subarray(0, headerEnd).toString('utf8'))[0].map(h => h.trim());
+
+    let offset = headerEnd + 1;
+    if (position) {
+      if (position.offset > size || tailSignature(fd, position.offset) !== position.signature) {
+        return null;
+      }
+      offset = position.offset;
+    }
+
+    const tail = Buffer.alloc(size - offset);
+    fs.readSync(fd, tail, 0, tail.length, offset);
+    const lastNewline = tail.lastIndexOf('\n');
+    const complete = lastNewline === -1 ? '' : tail.subarray(0, lastNewline + 1).toString('utf8');
+    const nextOffset = offset + Buffer.byteLength(complete);
+
+    const records = parseCSV(complete).map(values => {
+      const record = {};
+      headers.forEach((h, idx) => {
+        record[h] = values[idx] ?? '';
+      });
+      return record;
+    });
+
+    return {
+      records,
+      position: { offset: nextOffset, signature: tailSignature(fd, nextOffset) }
+    };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Quote a field if it would otherwise change meaning or lose whitespace
+function formatCSVField(value) {
+  const str = value === null || value === undefined ? '' : String(value);
+  if (/[",\r\n]/.test(str) || str !== str.trim()) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+// Format one row as a CSV line, including the trailing newline
+function formatCSVRow(values) {
+  return values.map(formatCSVField).join(',') + '\n';
+}
+
+// Create a CSV file with a header row if it doesn't exist yet
+function ensureCSV(csvPath, headers) {
+  if (!fs.existsSync(csvPath)) {
+    fs.writeFileSync(csvPath, formatCSVRow(headers));
+  }
+}
+
+// Append rows (arrays of values) to a CSV file
+function appendCSVRows(csvPath, rows) {
+  if (rows.length === 0) return;
+  fs.appendFileSync(csvPath, rows.map(formatCSVRow).join(''));
+}
+
+module.exports = {
+  parseCSVRows,
+  parseCSV,
+  readCSV,
+  readCSVFrom,
+  formatCSVField,
+  formatCSVRow,
+  ensureCSV,
+  appendCSVRows
+};
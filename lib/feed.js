@@ -0,0 +1,156 @@
+// Activity feed grammar
+// Every message the Cuckoo activity feed shows, as a table of rules, plus the
+// "N min ago" phrases it dates them with. The scraper uses it to date feed rows,
+// the leaderboard to turn them into typed events:
+//
+//   join, leave                   someone entered or left the room
+//   create                        the room was created
+//   start                         a timer was started ({ session, duration })
+//   pause, resume, stop, restart  the running timer was changed ({ session })
+//   skip                          the rest of a session was skipped ({ session })
+//   settings                      a session's default length changed ({ session, duration })
+//
+// Actions no rule matches are counted (see collectUnknownActions), and the
+// leaderboard writes them to data/rooms/<room>/unknown_actions.json so new
+// message formats get noticed instead of silently ignored.
+
+const fs = require('fs');
+const { HOUR_MS, DAY_MS } = require('./timezone');
+
+// The scraper reads the feed up to ~7 min after scrape_time (it waits for user
+// data first) but counts "N min ago" back from scrape_time, so feed times run early
+// and a later scrape can date the same row a few minutes apart
+const FEED_DELAY_MS = 8 * 60 * 1000;
+
+// Feed rows not posted by a person
+const SYSTEM_USERS = new Set(['cuckoo', 'unknown']);
+
+const SESSIONS = { 'work session': 'work', break: 'break' };
+const session = text => SESSIONS[text.toLowerCase()];
+
+const FEED_RULES = [
+  { type: 'join', pattern: /^joined this cuckoo$/i },
+  { type: 'leave', pattern: /^left this cuckoo$/i },
+  { type: 'create', pattern: /^created this cuckoo$/i },
+  {
+    type: 'start',
+    pattern: /^started an? (\d+) minutes? (work session|break)$/i,
+    fields: m => ({ session: session(m[2]), duration: Number(m[1]) })
+  },
+  { type: 'pause', pattern: /^paused the current (work session|break)$/i, fields: m => ({ session: session(m[1]) }) },
+  { type: 'resume', pattern: /^resumed the current (work session|break)$/i, fields: m => ({ session: session(m[1]) }) },
+  { type: 'stop', pattern: /^stopped the current (work session|break)$/i, fields: m => ({ session: session(m[1]) }) },
+  { type: 'restart', pattern: /^restarted the current (work session|break)$/i, fields: m => ({ session: session(m[1]) }) },
+  { type: 'skip', pattern: /^skipped the (work session|break)$/i, fields: m => ({ session: session(m[1]) }) },
+  {
+    type: 'settings',
+    pattern: /^(?:created|set|changed) an? (\d+) minutes? (work session|break) (?:to|in) settings$/i,
+    fields: m => ({ session: session(m[2]), duration: Number(m[1]) })
+  }
+];
+
+// Typed event for a feed action ({ type, ...fields }), or null if no rule matches
+function parseFeedAction(action) {
+  const text = (action || '').trim().replace(/\s+/g, ' ');
+  for (const rule of FEED_RULES) {
+    const match = text.match(rule.pattern);
+    if (match) return { type: rule.type, ...(rule.fields ? rule.fields(match) : {}) };
+  }
+  return null;
+}
+
+const TIME_UNITS = { sec: 1000, second: 1000, min: 60 * 1000, minute: 60 * 1000, hour: HOUR_MS, day: DAY_MS };
+// Phrases for "now": the feed's own, and "live" for rows the scraper's listen mode saw happen
+const NOW_PHRASES = /^(?:just now|now|a few seconds ago|live)$/i;
+const TIME_AGO = /^(\d+|an?|one) ?(sec|second|min|minute|hour|day)s? ago$/i;
+
+// How long ago a feed time phrase says something happened:
+// { agoMs, precisionMs }, or null if the phrase isn't recognised
+// Hours and days are rounded down by the feed ("1 hours ago" is anything up to
+// 2 hours), so their precision is the whole unit; finer times are exact enough.
+function parseTimeAgo(timeAgo) {
+  const text = (timeAgo || '').trim().replace(/\s+/g, ' ');
+  if (NOW_PHRASES.test(text)) return { agoMs: 0, precisionMs: 0 };
+  if (/^yesterday$/i.test(text)) return { agoMs: DAY_MS, precisionMs: DAY_MS };
+
+  const match = text.match(TIME_AGO);
+  if (!match) return null;
+  const count = /^\d+$/.test(match[1]) ? Number(match[1]) : 1;
+  const unitMs = TIME_UNITS[match[2].toLowerCase()];
+  return { agoMs: count * unitMs, precisionMs: unitMs >= HOUR_MS ? unitMs : 0 };
+}
+
+// Typed events from activity rows, oldest first, system rows skipped:
+// { type, ...fields, user, time, uncertaintyMs } with time as recorded (estimated_time)
+// and uncertaintyMs how much earlier it may really have been
+function parseFeedEvents(activities) {
+  const events = [];
+
+  for (const activity of activities) {
+    if (SYSTEM_USERS.has(activity.user)) continue;
+    const event = parseFeedAction(activity.action);
+    if (!event) continue;
+
+    events.push({
+      ...event,
+      user: activity.user,
+      time: new Date(activity.estimated_time),
+      uncertaintyMs: parseTimeAgo(activity.time_ago_raw)?.precisionMs || 0
+    });
+  }
+
+  // Stable sort keeps ties in file order
+  return events.sort((a, b) => a.time - b.time);
+}
+
+// Count the actions and time phrases of activity rows that the grammar doesn't know:
+// { actions: { text: { count, firstSeen, lastSeen } }, timePhrases: { ... } }
+// Pass the previous counts to add to them.
+function collectUnknownActions(activities, previous = { actions: {}, timePhrases: {} }) {
+  const unknown = {
+    actions: { ...previous.actions },
+    timePhrases: { ...previous.timePhrases }
+  };
+  const count = (group, text, time) => {
+    const entry = group[text];
+    group[text] = entry
+      ? { count: entry.count + 1, firstSeen: entry.firstSeen, lastSeen: time > entry.lastSeen ? time : entry.lastSeen }
+      : { count: 1, firstSeen: time, lastSeen: time };
+  };
+
+  for (const activity of activities) {
+    if (SYSTEM_USERS.has(activity.user)) continue;
+    if (!parseFeedAction(activity.action)) count(unknown.actions, activity.action, activity.scrape_time);
+    if (activity.time_ago_raw && !parseTimeAgo(activity.time_ago_raw)) {
+      count(unknown.timePhrases, activity.time_ago_raw, activity.scrape_time);
+    }
+  }
+
+  return unknown;
+}
+
+// Write the unknown actions report; returns how many distinct actions and phrases it lists
+function writeUnknownActionsReport(file, unknown, generated = new Date()) {
+  const list = group => Object.entries(group)
+    .map(([text, entry]) => ({ text, ...entry }))
+    .sort((a, b) => b.count - a.count || a.text.localeCompare(b.text));
+
+  const report = {
+    generated: generated.toISOString(),
+    actions: list(unknown.actions),
+    timePhrases: list(unknown.timePhrases)
+  };
+  fs.writeFileSync(file, JSON.stringify(report, null, 2));
+  return report.actions.length + report.timePhrases.length;
+}
+
+module.exports = {
+  FEED_DELAY_MS,
+  SYSTEM_USERS,
+  FEED_RULES,
+  parseFeedAction,
+  parseTimeAgo,
+  parseFeedEvents,
+  collectUnknownActions,
+  writeUnknownActionsReport
+};
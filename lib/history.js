@@ -0,0 +1,93 @@
+// Rank history
+// A compact day-by-day record of each user's all-time rank and totals, kept
+// next to each leaderboard (data/rank_history.json for the combined board,
+// data/rooms/<room>/rank_history.json per room):
+//
+//   {
+//     "rankBy": "presence",
+//     "fields": ["rank", "totalPresenceMinutes", "totalWorkMinutes", "pomodoroCount"],
+//     "days": { "2026-01-22": { "Ana": [1, 480, 210, 9], ... }, ... }
+//   }
+//
+// Days are in the reporting timezone; a day holds the standings as of the last
+// leaderboard run that day, and days on which nothing changed are left out.
+// Ranks only compare under one ranking, so a history recorded with another
+// scoring.rankBy starts over.
+
+const fs = require('fs');
+
+const HISTORY_FIELDS = ['rank', 'totalPresenceMinutes', 'totalWorkMinutes', 'pomodoroCount'];
+
+function createRankHistory(rankBy) {
+  return { rankBy, fields: HISTORY_FIELDS, days: {} };
+}
+
+// The history in `file`, or an empty one if it's missing, unreadable or was ranked differently
+function readRankHistory(file, rankBy, log = console.log) {
+  if (!fs.existsSync(file)) return createRankHistory(rankBy);
+  let history;
+  try {
+    history = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    log(`Rank history ${file} unreadable (${err.message}) - starting a new one`);
+    return createRankHistory(rankBy);
+  }
+  if (history.rankBy !== rankBy || history.fields?.join() !== HISTORY_FIELDS.join() || !history.days) {
+    return createRankHistory(rankBy);
+  }
+  return history;
+}
+
+// Copy of the history with `day` set to a ranked user list's standings
+// (or left out, if they are the same as on the day before)
+function recordRanks(history, day, users) {
+  const standings = Object.fromEntries(users.map((u, idx) => [u.user, HISTORY_FIELDS.map(field =>
+    (field === 'rank' ? idx + 1 : Math.round(u[field])))]));
+  const before = previousDay(history, day);
+  const days = { ...history.days, [day]: standings };
+  if (before && JSON.stringify(history.days[before]) === JSON.stringify(standings)) delete days[day];
+  return {
+    ...history,
+    days: Object.fromEntries(Object.keys(days).sort().map(key => [key, days[key]]))
+  };
+}
+
+// Last recorded day before `day`, or undefined
+function previousDay(history, day) {
+  return Object.keys(history.days).filter(key => key < day).sort().pop();
+}
+
+// Ranks on the last recorded day before `day`: { day, ranks: { user: rank } }, or null
+function previousRanks(history, day) {
+  const before = previousDay(history, day);
+  if (!before) return null;
+  const standings = history.days[before];
+  return {
+    day: before,
+    ranks: Object.fromEntries(Object.entries(standings).map(([user, values]) => [user, values[0]]))
+  };
+}
+
+// One user's history as a list of { day, rank, ... } (days they were ranked)
+function userRankHistory(history, user) {
+  return Object.entries(history.days)
+    .filter(([, standings]) => standings[user])
+    .map(([day, standings]) => ({
+      day,
+      ...Object.fromEntries(HISTORY_FIELDS.map((field, idx) => [field, standings[user][idx]]))
+    }));
+}
+
+function writeRankHistory(file, history) {
+  fs.writeFileSync(file, JSON.stringify(history));
+}
+
+module.exports = {
+  HISTORY_FIELDS,
+  createRankHistory,
+  readRankHistory,
+  recordRanks,
+  previousRanks,
+  userRankHistory,
+  writeRankHistory
+};
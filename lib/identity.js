@@ -0,0 +1,48 @@
+// User identity
+// Cuckoo only knows display names, so one person can show up under several
+// names. Maps each name to its canonical name from the config file "users"
+// section; names match case-insensitively and unlisted names are kept as-is.
+//
+// Ignored names are dropped from presence, so they never get presence windows,
+// counts or a leaderboard entry. Timers they start still count for everyone else.
+
+const { getIdentityConfig } = require('./config');
+
+function createNameResolver(identity = getIdentityConfig()) {
+  const canonicalNames = new Map();
+  for (const [canonical, aliases] of Object.entries(identity.aliases)) {
+    canonicalNames.set(canonical.toLowerCase(), canonical);
+    for (const alias of aliases) canonicalNames.set(alias.toLowerCase(), canonical);
+  }
+  const ignored = new Set(identity.ignore.map(name => name.toLowerCase()));
+
+  // Canonical name, or null if the name is ignored
+  const resolve = (name) => {
+    const key = name.toLowerCase();
+    if (ignored.has(key)) return null;
+    return canonicalNames.get(key) || name;
+  };
+
+  // Resolve a list of names present at the same time (duplicates collapse)
+  const resolveNames = (names) => [...new Set(names.map(resolve).filter(Boolean))];
+
+  // Copies of raw data records with their names resolved
+  const resolveRecords = (kind, records) => {
+    if (canonicalNames.size === 0 && ignored.size === 0) return records;
+
+    if (kind === 'activities') {
+      return records.map(r => ({ ...r, user: resolve(r.user) || r.user }));
+    }
+    if (kind === 'presence') {
+      return records.map(r => {
+        const users = resolveNames(r.users.split(';').filter(u => u));
+        return { ...r, user_count: String(users.length), users: users.join(';') };
+      });
+    }
+    return records;
+  };
+
+  return { identity, resolve, resolveNames, resolveRecords };
+}
+
+module.exports = { createNameResolver };
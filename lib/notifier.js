@@ -0,0 +1,151 @@
+// Webhook notifications
+// Compares a freshly generated leaderboard with the previous one and posts a
+// message per event to the configured webhooks (see getNotificationConfig):
+// - room-occupied: someone joined a room that was empty
+// - work-started: a work timer started with enough people in the room
+// - milestone: a user's all-time pomodoro count passed a milestone
+// - weekly-leader: someone else took first place this week
+//
+// Nothing is sent on the first run (no previous leaderboard to compare with).
+
+const { getNotificationConfig } = require('./config');
+
+// Feed start times can be corrected by several minutes between runs, so a timer
+// within this of one already in the previous log is the same timer
+const SAME_TIMER_MS = 10 * 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+const DEFAULT_MESSAGES = {
+  'room-occupied': '{users} joined {room} - come co-work!',
+  'work-started': 'A {duration} minute work session started in {room} with {count} people: {users}',
+  milestone: '{user} just reached {milestone} pomodoros!',
+  'weekly-leader': '{user} is the new leader for {week}, taking over from {previous}'
+};
+
+function roomNames(board) {
+  return Object.fromEntries((board.rooms || []).map(r => [r.id, r.name]));
+}
+
+// Events between two combined leaderboards
+function detectEvents(previous, current, settings = getNotificationConfig()) {
+  if (!previous) return [];
+  const events = [];
+  const names = roomNames(current);
+
+  // Rooms that were empty and aren't any more
+  const before = Object.fromEntries((previous.rooms || []).map(r => [r.id, r.currentlyPresent || []]));
+  for (const room of current.rooms || []) {
+    if ((before[room.id] || []).length === 0 && room.currentlyPresent.length > 0) {
+      events.push({ type: 'room-occupied', time: current.generated, room: room.id, roomName: room.name, users: room.currentlyPresent });
+    }
+  }
+
+  // Work timers new since the previous run
+  const since = Date.parse(previous.generated) - SAME_TIMER_MS;
+  const known = previous.activityLog || [];
+  for (const entry of [...(current.activityLog || [])].reverse()) {
+    if (entry.type !== 'work' || Date.parse(entry.time) <= since) continue;
+    if (entry.participants.length < settings.workTimerMinPeople) continue;
+    const seen = known.some(k => k.room === entry.room && k.type === entry.type && k.duration === entry.duration &&
+      Math.abs(Date.parse(k.time) - Date.parse(entry.time)) <= SAME_TIMER_MS);
+    if (seen) continue;
+    events.push({
+      type: 'work-started',
+      time: entry.time,
+      room: entry.room,
+      roomName: names[entry.room] || entry.room,
+      duration: entry.duration,
+      users: entry.participants,
+      count: entry.participants.length
+    });
+  }
+
+  // Pomodoro milestones passed since the previous run (only the highest one)
+  const counts = Object.fromEntries((previous.users || []).map(u => [u.user, u.pomodoroCount]));
+  for (const u of current.users || []) {
+    const passed = settings.milestones.filter(m => (counts[u.user] || 0) < m && u.pomodoroCount >= m);
+    if (passed.length > 0) {
+      events.push({ type: 'milestone', time: current.generated, user: u.user, milestone: passed[passed.length - 1] });
+    }
+  }
+
+  // A new leader within the same week (a new week starts from scratch)
+  const oldWeek = previous.periods?.week;
+  const newWeek = current.periods?.week;
+  const oldLeader = oldWeek?.users[0]?.user;
+  const newLeader = newWeek?.users[0]?.user;
+  if (oldWeek && newWeek && oldWeek.label === newWeek.label && oldLeader && newLeader && oldLeader !== newLeader) {
+    events.push({ type: 'weekly-leader', time: current.generated, user: newLeader, previous: oldLeader, week: newWeek.label });
+  }
+
+  return events;
+}
+
+// Fill a message template: {name} is replaced by the event's value
+function formatMessage(event, settings = getNotificationConfig()) {
+  const template = settings.messages[event.type] || DEFAULT_MESSAGES[event.type];
+  const values = { ...event, room: event.roomName || event.room, users: (event.users || []).join(', ') };
+  return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+}
+
+// Request body for a webhook: Discord and Slack take the text under their own
+// key, generic receivers get the event too
+function webhookPayload(format, text, event) {
+  if (format === 'discord') return { content: text };
+  if (format === 'slack') return { text };
+  return { text, event };
+}
+
+async function postWebhook(webhook, body) {
+  const response = await fetch(webhook.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+}
+
+// Post every event to the webhooks subscribed to it, one at a time to keep them in
+// order. A failing webhook is logged and doesn't stop the others.
+async function sendNotifications(events, settings = getNotificationConfig(), log = console.log) {
+  let sent = 0;
+  let failed = 0;
+
+  for (const webhook of settings.webhooks) {
+    const host = new URL(webhook.url).host;
+    for (const event of events.filter(e => webhook.events.includes(e.type))) {
+      const text = formatMessage(event, settings);
+      try {
+        await postWebhook(webhook, webhookPayload(webhook.format, text, event));
+        sent++;
+      } catch (err) {
+        failed++;
+        log(`Webhook ${host} failed for ${event.type}: ${err.message}`);
+      }
+    }
+  }
+
+  return { sent, failed };
+}
+
+// Diff two leaderboards and send what changed
+async function notifyChanges(previous, current, settings = getNotificationConfig(), log = console.log) {
+  if (settings.webhooks.length === 0) return { events: [], sent: 0, failed: 0 };
+
+  const events = detectEvents(previous, current, settings);
+  events.forEach(event => log(`Notify: ${formatMessage(event, settings)}`));
+  const { sent, failed } = await sendNotifications(events, settings, log);
+  return { events, sent, failed };
+}
+
+module.exports = {
+  DEFAULT_MESSAGES,
+  detectEvents,
+  formatMessage,
+  webhookPayload,
+  sendNotifications,
+  notifyChanges
+};
@@ -0,0 +1,146 @@
+// SQLite storage backend
+// One database for all rooms, one table per data file with a `room` column.
+// Requires the optional better-sqlite3 dependency.
+
+const fs = require('fs');
+const path = require('path');
+const { CSV_HEADERS, TIME_COLUMNS } = require('./config');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS activities (
+    id INTEGER PRIMARY KEY,
+    room TEXT NOT NULL,
+    estimated_time TEXT NOT NULL,
+    scrape_time TEXT NOT NULL,
+    user TEXT NOT NULL,
+    action TEXT NOT NULL,
+    time_ago_raw TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS activities_room_time ON activities (room, estimated_time);
+  CREATE INDEX IF NOT EXISTS activities_room_user ON activities (room, user);
+
+  CREATE TABLE IF NOT EXISTS presence (
+    id INTEGER PRIMARY KEY,
+    room TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    user_count INTEGER NOT NULL,
+    users TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS presence_room_time ON presence (room, timestamp);
+
+  CREATE TABLE IF NOT EXISTS snapshots (
+    id INTEGER PRIMARY KEY,
+    room TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    timer_running INTEGER NOT NULL,
+    timer_value TEXT NOT NULL,
+    session_type TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS snapshots_room_time ON snapshots (room, timestamp);
+`;
+
+// Column conversions between CSV-style string records and table values
+const TO_DB = {
+  user_count: v => parseInt(v, 10) || 0,
+  timer_running: v => (String(v) === 'true' ? 1 : 0)
+};
+const FROM_DB = {
+  user_count: v => String(v),
+  timer_running: v => (v ? 'true' : 'false')
+};
+
+function toRecord(kind, row) {
+  const record = {};
+  for (const column of CSV_HEADERS[kind]) {
+    const value = row[column];
+    record[column] = FROM_DB[column] ? FROM_DB[column](value) : (value ?? '');
+  }
+  return record;
+}
+
+function createSQLiteStorage(dbPath) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (err) {
+    throw new Error('SQLite storage needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const inserts = {};
+  for (const [kind, columns] of Object.entries(CSV_HEADERS)) {
+    const insert = db.prepare(
+      `INSERT INTO ${kind} (room, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})`
+    );
+    inserts[kind] = db.transaction((roomId, records) => {
+      for (const r of records) {
+        insert.run(roomId, ...columns.map(c => (TO_DB[c] ? TO_DB[c](r[c]) : String(r[c] ?? ''))));
+      }
+    });
+  }
+
+  return {
+    backend: 'sqlite',
+    db,
+
+    // Tables are shared by all rooms, so there's nothing to set up per room
+    init() {},
+
+    append(roomId, kind, records) {
+      if (records.length > 0) inserts[kind](roomId, records);
+    },
+
+    // All records in insertion order, or only those in [from, to)
+    read(roomId, kind, { from = null, to = null } = {}) {
+      const time = TIME_COLUMNS[kind];
+      const rows = db.prepare(`
+        SELECT * FROM ${kind}
+        WHERE room = ? AND (? IS NULL OR ${time} >= ?) AND (? IS NULL OR ${time} < ?)
+        ORDER BY id
+      `).all(roomId, ...[from, from, to, to].map(d => (d ? d.toISOString() : null)));
+      return rows.map(row => toRecord(kind, row));
+    },
+
+    // Records added since `position` (null for all); null if rows before it were removed
+    readNew(roomId, kind, position = null) {
+      // Positions from the CSV backend can't be resumed here
+      if (position && position.lastId === undefined) return null;
+
+      const lastId = position ? position.lastId : 0;
+      if (position) {
+        const { count } = db.prepare(`SELECT COUNT(*) AS count FROM ${kind} WHERE room = ? AND id <= ?`)
+          .get(roomId, lastId);
+        if (count !== position.count) return null;
+      }
+
+      const rows = db.prepare(`SELECT * FROM ${kind} WHERE room = ? AND id > ? ORDER BY id`).all(roomId, lastId);
+      if (rows.length === 0) {
+        return { records: [], position: position || { lastId: 0, count: 0 } };
+      }
+      return {
+        records: rows.map(row => toRecord(kind, row)),
+        position: {
+          lastId: rows[rows.length - 1].id,
+          count: (position ? position.count : 0) + rows.length
+        }
+      };
+    },
+
+    // Remove a room's rows (used before re-importing)
+    clear(roomId, kind) {
+      db.prepare(`DELETE FROM ${kind} WHERE room = ?`).run(roomId);
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = {
+  createSQLiteStorage
+};
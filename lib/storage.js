@@ -0,0 +1,82 @@
+// Raw data storage
+// Activities, presence and snapshots are stored per room, either in the CSV files
+// under data/rooms/<room>/ (default) or in a SQLite database (see sqlite-storage.js).
+//
+// Both backends work with records keyed by the CSV column names, with every
+// value as a string, so callers don't need to know which one is in use.
+//
+// CSV reads include the room's archived months (see archive.js) ahead of the
+// live files, so compacted data reads the same as it did before.
+
+const fs = require('fs');
+const { CSV_HEADERS, TIME_COLUMNS, getStorageConfig, getRoomPaths } = require('./config');
+const { readCSV, readCSVFrom, ensureCSV, appendCSVRows } = require('./csv');
+const { listArchiveMonths, readArchive } = require('./archive');
+
+// Does a record fall inside [from, to)? Timestamps are ISO strings, so compare as text
+function inRange(record, kind, from, to) {
+  const time = record[TIME_COLUMNS[kind]];
+  return (!from || time >= from.toISOString()) && (!to || time < to.toISOString());
+}
+
+function createCSVStorage() {
+  return {
+    backend: 'csv',
+
+    // Create the room's directory and files with headers
+    init(roomId) {
+      const paths = getRoomPaths(roomId);
+      if (!fs.existsSync(paths.dir)) {
+        fs.mkdirSync(paths.dir, { recursive: true });
+      }
+      for (const [kind, headers] of Object.entries(CSV_HEADERS)) {
+        ensureCSV(paths[kind], headers);
+      }
+    },
+
+    append(roomId, kind, records) {
+      const headers = CSV_HEADERS[kind];
+      appendCSVRows(getRoomPaths(roomId)[kind], records.map(r => headers.map(h => r[h])));
+    },
+
+    // All records, or only those in [from, to)
+    read(roomId, kind, { from = null, to = null } = {}) {
+      const records = [...readArchive(roomId, kind), ...readCSV(getRoomPaths(roomId)[kind])];
+      return from || to ? records.filter(r => inRange(r, kind, from, to)) : records;
+    },
+
+    // Records added since `position` (null for all); null if the data was rewritten
+    // Positions list the archived months, so archiving more of a file counts as a rewrite
+    readNew(roomId, kind, position = null) {
+      // Positions from the SQLite backend can't be resumed here
+      if (position && position.offset === undefined) return null;
+
+      const months = listArchiveMonths(roomId);
+      if (position && (position.archives || []).join() !== months.join()) return null;
+
+      const read = readCSVFrom(getRoomPaths(roomId)[kind], position);
+      if (!read) return null;
+      const records = position ? read.records : [...readArchive(roomId, kind, months), ...read.records];
+      return {
+        records,
+        position: read.position && (months.length > 0 ? { ...read.position, archives: months } : read.position)
+      };
+    },
+
+    close() {}
+  };
+}
+
+// Open the configured storage backend
+function openStorage(storageConfig = getStorageConfig()) {
+  if (storageConfig.backend === 'sqlite') {
+    const { createSQLiteStorage } = require('./sqlite-storage');
+    return createSQLiteStorage(storageConfig.dbPath);
+  }
+  return createCSVStorage();
+}
+
+module.exports = {
+  openStorage,
+  createCSVStorage
+};
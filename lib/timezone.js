@@ -0,0 +1,114 @@
+// Reporting timezone
+// Day, week, month and hour boundaries in the configured timezone (see
+// getTimezone). Times are stored in UTC; only bucketing uses the timezone.
+//
+// Day keys ("2026-01-22") name calendar days in the timezone. Arithmetic on
+// them (streaks, week labels) treats them as UTC dates, which is exact for
+// whole days whatever the timezone's offset.
+
+const { getTimezone } = require('./config');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const pad = n => String(n).padStart(2, '0');
+
+function createTimeZone(timeZone = getTimezone()) {
+  const utc = timeZone === 'UTC';
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+
+  // Wall-clock fields of an instant in the timezone
+  const parts = (date) => {
+    if (utc) {
+      return {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour: date.getUTCHours(),
+        minute: date.getUTCMinutes(),
+        second: date.getUTCSeconds()
+      };
+    }
+    const fields = {};
+    for (const { type, value } of format.formatToParts(date)) {
+      if (type !== 'literal') fields[type] = parseInt(value);
+    }
+    return fields;
+  };
+
+  // Offset from UTC at an instant, in ms (positive east of Greenwich)
+  const offsetMs = (date) => {
+    const p = parts(date);
+    const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return wallClock - (date.getTime() - date.getUTCMilliseconds());
+  };
+
+  // Instant a wall-clock time happens, rechecking the offset in case a DST change lies between
+  const fromWallClock = (year, month, day, hour = 0) => {
+    const guess = Date.UTC(year, month - 1, day, hour);
+    let time = guess - offsetMs(new Date(guess));
+    const corrected = guess - offsetMs(new Date(time));
+    if (corrected !== time) time = corrected;
+    return new Date(time);
+  };
+
+  const dayKey = (date) => {
+    const p = parts(date);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+  };
+
+  // Midnight starting a day key
+  const startOfDayKey = (key) => {
+    const [year, month, day] = key.split('-').map(Number);
+    return fromWallClock(year, month, day);
+  };
+
+  const startOfDay = date => startOfDayKey(dayKey(date));
+
+  // Monday = 0 ... Sunday = 6
+  const weekday = date => (new Date(dayKey(date)).getUTCDay() + 6) % 7;
+
+  // ISO weeks start on Monday
+  const startOfWeek = (date) => {
+    const monday = new Date(Date.parse(dayKey(date)) - weekday(date) * DAY_MS);
+    return startOfDayKey(monday.toISOString().slice(0, 10));
+  };
+
+  const startOfMonth = (date) => {
+    const p = parts(date);
+    return fromWallClock(p.year, p.month, 1);
+  };
+
+  // Start of the wall-clock hour an instant falls in
+  const startOfHour = (date) => {
+    const p = parts(date);
+    return new Date(date.getTime() - date.getUTCMilliseconds() - (p.minute * 60 + p.second) * 1000);
+  };
+
+  const hour = date => parts(date).hour;
+
+  return {
+    name: timeZone,
+    parts,
+    offsetMs,
+    dayKey,
+    startOfDayKey,
+    startOfDay,
+    startOfWeek,
+    startOfMonth,
+    startOfHour,
+    weekday,
+    hour
+  };
+}
+
+module.exports = { HOUR_MS, DAY_MS, createTimeZone };
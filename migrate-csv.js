@@ -0,0 +1,138 @@
+// CSV Migration
+// One-time rewrite of every room's raw data files with proper RFC 4180 quoting.
+// Rows written by the old comma-splitting code are repaired where possible;
+// anything that can't be repaired is reported and left out of the rewritten file.
+// The original file is kept alongside as <name>.bak.
+//
+// Usage: node migrate-csv.js [--dry-run]
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { CSV_HEADERS, getRooms, getRoomPaths } = require('./lib/config');
+const { parseCSV, formatCSVRow } = require('./lib/csv');
+
+// Every Cuckoo feed message starts with one of these verbs
+const ACTION_START = /^(joined|left|started|skipped|paused|resumed|stopped|restarted|created|changed|reset)\b/;
+
+// Old-format rows were written with a plain join(','), so split them the same way
+function repairActivity(line) {
+  const parts = line.split(',');
+  if (parts.length < 5) return null;
+
+  // Timestamps never contain commas, and the time-ago text is last;
+  // the comma that splits user from action is the one before the action verb
+  const middle = parts.slice(2, -1);
+  for (let k = 1; k < middle.length; k++) {
+    const action = middle.slice(k).join(',');
+    if (ACTION_START.test(action)) {
+      return [parts[0], parts[1], middle.slice(0, k).join(','), action, parts[parts.length - 1]];
+    }
+  }
+  return null;
+}
+
+function repairPresence(line) {
+  const parts = line.split(',');
+  if (parts.length < 3) return null;
+
+  const users = parts.slice(2).join(',').replace(/^"|"$/g, '');
+  return [parts[0], parts[1], users];
+}
+
+const REPAIRERS = {
+  activities: repairActivity,
+  presence: repairPresence,
+  snapshots: () => null
+};
+
+// Re-read a file line by line (old writers never wrote multi-line fields)
+function migrateFile(csvPath, kind) {
+  const headers = CSV_HEADERS[kind];
+  const lines = fs.readFileSync(csvPath, 'utf8').split(/\r?\n/);
+  const rows = [];
+  const repaired = [];
+  const rejected = [];
+
+  lines.slice(1).forEach((line, idx) => {
+    const lineNumber = idx + 2;
+    if (!line.trim()) return;
+
+    let values = null;
+    try {
+      const parsed = parseCSV(line);
+      if (parsed.length === 1 && parsed[0].length === headers.length) {
+        values = parsed[0];
+      }
+    } catch (err) {
+      // Unbalanced quotes - fall through to repair
+    }
+
+    if (!values) {
+      values = REPAIRERS[kind](line);
+      if (values) {
+        repaired.push({ lineNumber, before: line, after: formatCSVRow(values).trimEnd() });
+      } else {
+        rejected.push({ lineNumber, line });
+        return;
+      }
+    }
+
+    rows.push(values);
+  });
+
+  return { headers, rows, repaired, rejected };
+}
+
+function main() {
+  const { values: args } = parseArgs({
+    options: {
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+  const dryRun = args['dry-run'];
+
+  console.log(`CSV migration${dryRun ? ' (dry run - no files written)' : ''}\n`);
+
+  let totalRepaired = 0;
+  let totalRejected = 0;
+
+  for (const room of getRooms()) {
+    const paths = getRoomPaths(room.id);
+
+    for (const kind of Object.keys(CSV_HEADERS)) {
+      const csvPath = paths[kind];
+      if (!fs.existsSync(csvPath)) continue;
+
+      const { headers, rows, repaired, rejected } = migrateFile(csvPath, kind);
+      console.log(`${csvPath}: ${rows.length} rows, ${repaired.length} repaired, ${rejected.length} rejected`);
+
+      for (const r of repaired) {
+        console.log(`  repaired line ${r.lineNumber}:`);
+        console.log(`    - ${r.before}`);
+        console.log(`    + ${r.after}`);
+      }
+      for (const r of rejected) {
+        console.log(`  rejected line ${r.lineNumber}: ${r.line}`);
+      }
+
+      totalRepaired += repaired.length;
+      totalRejected += rejected.length;
+
+      if (!dryRun) {
+        fs.copyFileSync(csvPath, `${csvPath}.bak`);
+        fs.writeFileSync(csvPath, [headers, ...rows].map(formatCSVRow).join(''));
+      }
+    }
+  }
+
+  console.log(`\nDone: ${totalRepaired} rows repaired, ${totalRejected} rows rejected`);
+  if (!dryRun) {
+    console.log('Originals kept as *.bak');
+  }
+}
+
+module.exports = { repairActivity, repairPresence, migrateFile };
+
+if (require.main === module) {
+  main();
+}
@@ -1,37 +1,41 @@
 // Cuckoo Scraper - Collects activity feed and timer state
-// Appends unique activities to a persistent log
+// Appends unique activities to a persistent log, one set of files per room
 
 const puppeteer = require('puppeteer');
 const { io } = require('socket.io-client');
 const fs = require('fs');
-const path = require('path');
+const { parseArgs } = require('util');
+const { DEFAULT_BASE_URL, getRooms, getBaseUrl, getRoomPaths } = require('./lib/config');
+const { openStorage } = require('./lib/storage');
+const { createNameResolver } = require('./lib/identity');
+const { SYSTEM_USERS, parseFeedAction, parseTimeAgo } = require('./lib/feed');
 
 // Configuration
-const ROOM_ID = process.env.CUCKOO_ROOM || 'EAGatherTownTimerEAA1';
-const CUCKOO_URL = `https://cuckoo.team/${ROOM_ID}`;
-const DATA_DIR = path.join(__dirname, 'data');
-const ACTIVITIES_PATH = path.join(DATA_DIR, 'activities.csv');
-const SNAPSHOTS_PATH = path.join(DATA_DIR, 'snapshots.csv');
-const SCREENSHOT_PATH = path.join(DATA_DIR, 'latest-screenshot.png');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
-
-// Initialize CSVs with headers if they don't exist
-if (!fs.existsSync(ACTIVITIES_PATH)) {
-  fs.writeFileSync(ACTIVITIES_PATH, 'estimated_time,scrape_time,user,action,time_ago_raw\n');
-}
-if (!fs.existsSync(SNAPSHOTS_PATH)) {
-  fs.writeFileSync(SNAPSHOTS_PATH, 'timestamp,timer_running,timer_value,session_type\n');
+const ROOMS = getRooms();
+const NAMES = createNameResolver();
+const CUCKOO_BASE_URL = getBaseUrl();
+
+// Listen mode: how often buffered rows are written, and how often an unchanged
+// presence/timer state is re-recorded so gaps between rows stay small
+const LISTEN_FLUSH_MS = 60 * 1000;
+const LISTEN_HEARTBEAT_MS = 5 * 60 * 1000;
+const LISTEN_MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+// Ensure a room's data directory (screenshots live there whatever the storage) and storage exist
+function initRoom(storage, roomId) {
+  const paths = getRoomPaths(roomId);
+  if (!fs.existsSync(paths.dir)) {
+    fs.mkdirSync(paths.dir, { recursive: true });
+  }
+  storage.init(roomId);
+  return paths;
 }
 
 // Round timestamp for deduplication based on precision
 // For "hours ago" activities, round to hour; for "minutes ago", round to 30 min
 function roundForDedup(isoString, timeAgoRaw = '') {
   const d = new Date(isoString);
-  if (timeAgoRaw.includes('hour') || timeAgoRaw.includes('day')) {
+  if (parseTimeAgo(timeAgoRaw)?.precisionMs > 0) {
     // Coarse time - round to nearest hour
     d.setMinutes(0, 0, 0);
   } else {
@@ -44,92 +48,129 @@ function roundForDedup(isoString, timeAgoRaw = '') {
 }
 
 // Load existing activities to avoid duplicates
-function loadExistingActivities() {
+function loadExistingActivities(storage, roomId) {
   const existing = new Set();
-  if (fs.existsSync(ACTIVITIES_PATH)) {
-    const content = fs.readFileSync(ACTIVITIES_PATH, 'utf8');
-    const lines = content.trim().split('\n').slice(1); // Skip header
-    for (const line of lines) {
-      // Create a key from estimated_time (rounded) + user + action
-      const parts = line.split(',');
-      if (parts.length >= 5) {
-        const timeAgoRaw = parts[4] || '';
-        const roundedTime = roundForDedup(parts[0], timeAgoRaw);
-        const key = `${roundedTime}|${parts[2]}|${parts[3]}`;
-        existing.add(key);
-      }
-    }
+  for (const activity of storage.read(roomId, 'activities')) {
+    // Create a key from estimated_time (rounded) + user + action
+    // (older rows may predate an alias, so compare canonical names)
+    const roundedTime = roundForDedup(activity.estimated_time, activity.time_ago_raw);
+    const user = NAMES.resolve(activity.user) || activity.user;
+    existing.add(`${roundedTime}|${user}|${activity.action}`);
   }
   return existing;
 }
 
+// Record builders shared by scrape and listen modes
+function snapshotRecord(time, { timerRunning, timerValue, sessionType }) {
+  return {
+    timestamp: time.toISOString(),
+    timer_running: String(timerRunning),
+    timer_value: timerValue,
+    session_type: sessionType
+  };
+}
+
+// The users column is a ;-separated list in a single field
+function presenceRecord(time, users) {
+  return {
+    timestamp: time.toISOString(),
+    user_count: String(users.length),
+    users: users.join(';')
+  };
+}
+
+function activityRecord(estimatedTime, scrapeTime, user, action, timeAgo) {
+  return {
+    estimated_time: estimatedTime.toISOString(),
+    scrape_time: scrapeTime.toISOString(),
+    user,
+    action,
+    time_ago_raw: timeAgo
+  };
+}
+
+// Track timer state from Socket.IO events
+// onChange(state) is called after every event that touches the timer or session type
+function trackTimerState(socket, onChange = () => {}) {
+  const state = {
+    timerValue: '00:00',
+    timerSeconds: 0,
+    timerRunning: false,
+    sessionType: 'unknown'
+  };
+
+  const updateTimer = (timer) => {
+    state.timerValue = timer.currentFormatted || '00:00';
+    state.timerSeconds = timer.current || 0;
+    state.timerRunning = state.timerSeconds > 0;
+  };
+
+  socket.on('update timer', (data) => {
+    if (data) {
+      updateTimer(data);
+      onChange(state);
+    }
+  });
+
+  socket.on('update activity', (data) => {
+    if (data?.timer) {
+      updateTimer(data.timer);
+    }
+    if (data?.sessions?.currentType) {
+      state.sessionType = data.sessions.currentType;
+    }
+    onChange(state);
+  });
+
+  socket.on('update settings', (data) => {
+    if (data?.sessions?.currentType) {
+      state.sessionType = data.sessions.currentType;
+      onChange(state);
+    }
+  });
+
+  return state;
+}
+
 // Get timer state via Socket.IO (passive - no join)
-async function getTimerState() {
+async function getTimerState(roomId, log) {
   return new Promise((resolve) => {
-    const socket = io(`https://cuckoo.team/${ROOM_ID}`, {
+    const socket = io(`${CUCKOO_BASE_URL}/${roomId}`, {
       transports: ['websocket'],
       reconnection: false,
     });
 
-    let timerValue = '00:00';
-    let timerRunning = false;
-    let sessionType = 'unknown';
-
     socket.on('connect', () => {
-      console.log('Socket.IO connected');
-    });
-
-    socket.on('update timer', (data) => {
-      if (data) {
-        timerValue = data.currentFormatted || '00:00';
-        timerRunning = (data.current || 0) > 0;
-      }
+      log('Socket.IO connected');
     });
 
-    socket.on('update activity', (data) => {
-      if (data?.timer) {
-        timerValue = data.timer.currentFormatted || '00:00';
-        timerRunning = (data.timer.current || 0) > 0;
-      }
-      if (data?.sessions?.currentType) {
-        sessionType = data.sessions.currentType;
-      }
-    });
-
-    socket.on('update settings', (data) => {
-      if (data?.sessions?.currentType) {
-        sessionType = data.sessions.currentType;
-      }
-    });
+    const state = trackTimerState(socket);
 
     setTimeout(() => {
       socket.disconnect();
+      const { timerValue, timerRunning, sessionType } = state;
       resolve({ timerValue, timerRunning, sessionType });
     }, 5000);
   });
 }
 
-// Parse time ago string to milliseconds
-function parseTimeAgoMs(timeAgo) {
-  if (!timeAgo) return 0;
-
-  const match = timeAgo.match(/(\d+)\s*(sec|min|hour|day)/i);
-  if (!match) return 0;
-
-  const value = parseInt(match[1]);
-  const unit = match[2].toLowerCase();
+// Pull display names out of a user list event
+// The list arrives either bare or wrapped in { users }, with each user a name or
+// an object carrying the same fullName the page puts in data-fullname
+function extractUserNames(data) {
+  const list = Array.isArray(data) ? data : (data?.users || []);
+  return list
+    .map(u => (typeof u === 'string' ? u : (u?.fullName || u?.fullname || u?.name)))
+    .filter(Boolean);
+}
 
-  switch (unit) {
-    case 'sec': return value * 1000;
-    case 'min': return value * 60 * 1000;
-    case 'hour': return value * 60 * 60 * 1000;
-    case 'day': return value * 24 * 60 * 60 * 1000;
-    default: return 0;
-  }
+// Parse time ago string to milliseconds (0, i.e. the scrape time, if unrecognised)
+function parseTimeAgoMs(timeAgo) {
+  return parseTimeAgo(timeAgo)?.agoMs || 0;
 }
 
-// Scrape activity feed via Puppeteer (passive - no join)
-async function scrapeActivityFeed() {
+// Launch the browser shared by all rooms
+async function launchBrowser() {
   console.log('Launching Puppeteer...');
   // Use bundled Chromium on CI, local Chrome on macOS
   const launchOptions = {
@@ -142,16 +183,20 @@ async function scrapeActivityFeed() {
     launchOptions.executablePath = process.env.CHROME_PATH || '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome';
   }
 
-  const browser = await puppeteer.launch(launchOptions);
+  return puppeteer.launch(launchOptions);
+}
+
+// Scrape activity feed via Puppeteer (passive - no join)
+async function scrapeActivityFeed(browser, roomId, paths, log) {
+  const page = await browser.newPage();
 
   try {
-    const page = await browser.newPage();
     await page.setViewport({ width: 1280, height: 800 });
 
-    await page.goto(CUCKOO_URL, { waitUntil: 'networkidle2', timeout: 60000 });
+    await page.goto(`${CUCKOO_BASE_URL}/${roomId}`, { waitUntil: 'networkidle2', timeout: 60000 });
 
     // Wait for real-time user data - server sends it after a few minutes even without joining
-    console.log('   Waiting for real-time user data (up to 7 min)...');
+    log('   Waiting for real-time user data (up to 7 min)...');
     let currentUsers = [];
     for (let i = 0; i < 42; i++) { // Up to 7 minutes (42 * 10 sec = 420 sec)
       await new Promise(r => setTimeout(r, 10000)); // 10 sec intervals
@@ -163,23 +208,23 @@ async function scrapeActivityFeed() {
 
       const elapsed = (i + 1) * 10;
       if (currentUsers.length > 0) {
-        console.log(`   Found ${currentUsers.length} users after ${elapsed}s: ${currentUsers.join(', ')}`);
+        log(`   Found ${currentUsers.length} users after ${elapsed}s: ${currentUsers.join(', ')}`);
         break;
       } else if (elapsed % 60 === 0) {
         // Log progress every minute
-        console.log(`   ${elapsed}s: Still waiting for user data...`);
+        log(`   ${elapsed}s: Still waiting for user data...`);
       }
     }
 
     // Take screenshot before refresh
-    await page.screenshot({ path: SCREENSHOT_PATH, fullPage: true });
+    await page.screenshot({ path: paths.screenshot, fullPage: true });
 
     // IMPORTANT: Save presence data now, before refreshing
     // (currentUsers will be returned and saved by caller)
-    console.log(`   Presence captured: ${currentUsers.length > 0 ? currentUsers.join(', ') : 'none'}`);
+    log(`   Presence captured: ${currentUsers.length > 0 ? currentUsers.join(', ') : 'none'}`);
 
     // Refresh the page to get fresh activity feed
-    console.log('   Refreshing page for fresh activity feed...');
+    log('   Refreshing page for fresh activity feed...');
     await page.reload({ waitUntil: 'networkidle2', timeout: 60000 });
 
     // Wait a moment for activity feed to load
@@ -212,52 +257,52 @@ async function scrapeActivityFeed() {
     return { activities, currentUsers };
 
   } finally {
-    await browser.close();
+    await page.close();
   }
 }
 
-// Main scraper function
-async function scrape() {
-  const scrapeTime = new Date();
-  console.log(`\n=== Cuckoo Scraper - ${scrapeTime.toISOString()} ===\n`);
-  console.log(`Room: ${ROOM_ID}`);
+// Scrape a single room and append its data
+async function scrapeRoom(browser, storage, room, scrapeTime) {
+  const log = (message) => console.log(ROOMS.length > 1 ? `[${room.id}] ${message}` : message);
+  const paths = initRoom(storage, room.id);
+
+  log(`\nRoom: ${room.id}`);
 
   // Get timer state
-  console.log('\n1. Getting timer state...');
-  const { timerValue, timerRunning, sessionType } = await getTimerState();
-  console.log(`   Timer: ${timerValue} (${timerRunning ? 'running' : 'stopped'}, ${sessionType})`);
+  log('\n1. Getting timer state...');
+  const { timerValue, timerRunning, sessionType } = await getTimerState(room.id, log);
+  log(`   Timer: ${timerValue} (${timerRunning ? 'running' : 'stopped'}, ${sessionType})`);
 
   // Save timer snapshot
-  const snapshotLine = `${scrapeTime.toISOString()},${timerRunning},${timerValue},${sessionType}\n`;
-  fs.appendFileSync(SNAPSHOTS_PATH, snapshotLine);
+  storage.append(room.id, 'snapshots', [snapshotRecord(scrapeTime, { timerRunning, timerValue, sessionType })]);
 
   // Scrape activity feed and current users
-  console.log('\n2. Scraping activity feed and presence...');
-  const { activities, currentUsers } = await scrapeActivityFeed();
-  console.log(`   Found ${activities.length} activities`);
-  console.log(`   Current users in room: ${currentUsers.length > 0 ? currentUsers.join(', ') : 'none detected'}`);
-
-  // Save current presence snapshot
-  const presenceLine = `${scrapeTime.toISOString()},${currentUsers.length},"${currentUsers.join(';')}"\n`;
-  const PRESENCE_PATH = path.join(DATA_DIR, 'presence.csv');
-  if (!fs.existsSync(PRESENCE_PATH)) {
-    fs.writeFileSync(PRESENCE_PATH, 'timestamp,user_count,users\n');
-  }
-  fs.appendFileSync(PRESENCE_PATH, presenceLine);
+  log('\n2. Scraping activity feed and presence...');
+  const { activities, currentUsers } = await scrapeActivityFeed(browser, room.id, paths, log);
+  log(`   Found ${activities.length} activities`);
+  log(`   Current users in room: ${currentUsers.length > 0 ? currentUsers.join(', ') : 'none detected'}`);
+
+  // Save current presence snapshot under canonical names, without ignored users
+  storage.append(room.id, 'presence', [presenceRecord(scrapeTime, NAMES.resolveNames(currentUsers))]);
 
   // Load existing activities for deduplication
-  const existingActivities = loadExistingActivities();
-  console.log(`   Existing activities in log: ${existingActivities.size}`);
+  const existingActivities = loadExistingActivities(storage, room.id);
+  log(`   Existing activities in log: ${existingActivities.size}`);
 
   // Process and save new activities
   let newCount = 0;
-  const newLines = [];
+  const newRecords = [];
 
   for (const activity of activities) {
-    const { user, action, timeAgo } = activity;
+    const { action, timeAgo } = activity;
 
     // Skip system messages
-    if (user === 'cuckoo' || user === 'unknown') continue;
+    if (SYSTEM_USERS.has(activity.user)) continue;
+    const user = NAMES.resolve(activity.user) || activity.user;
+
+    // Kept either way; the leaderboard lists unrecognised ones in unknown_actions.json
+    if (!parseFeedAction(action)) log(`   Unrecognised feed action: "${action}"`);
+    if (timeAgo && !parseTimeAgo(timeAgo)) log(`   Unrecognised feed time: "${timeAgo}" (dated at scrape time)`);
 
     // Estimate actual time of activity
     const timeAgoMs = parseTimeAgoMs(timeAgo);
@@ -273,45 +318,249 @@ async function scrape() {
 
     if (!existingActivities.has(key)) {
       existingActivities.add(key);
-      // Escape commas in action
-      const safeAction = action.replace(/,/g, ';');
-      const line = `${estimatedTimeStr},${scrapeTime.toISOString()},${user},${safeAction},${timeAgo}\n`;
-      newLines.push(line);
+      newRecords.push(activityRecord(estimatedTime, scrapeTime, user, action, timeAgo));
       newCount++;
     }
   }
 
   // Append new activities
-  if (newLines.length > 0) {
-    fs.appendFileSync(ACTIVITIES_PATH, newLines.join(''));
-  }
+  storage.append(room.id, 'activities', newRecords);
 
-  console.log(`   New activities added: ${newCount}`);
+  log(`   New activities added: ${newCount}`);
 
   // Show recent activities
   if (activities.length > 0) {
-    console.log('\n   Recent activities:');
+    log('\n   Recent activities:');
     activities.slice(0, 5).forEach(a => {
-      console.log(`     - [${a.user}] ${a.action} (${a.timeAgo})`);
+      log(`     - [${a.user}] ${a.action} (${a.timeAgo})`);
     });
   }
 
   // Summary
-  console.log('\n=== Summary ===');
-  console.log(`Timer: ${timerValue} (${timerRunning ? 'running' : 'stopped'})`);
-  console.log(`Session type: ${sessionType}`);
-  console.log(`Activities scraped: ${activities.length}`);
-  console.log(`New activities logged: ${newCount}`);
-  console.log(`\nData saved to:`);
-  console.log(`  - ${ACTIVITIES_PATH}`);
-  console.log(`  - ${SNAPSHOTS_PATH}`);
-  console.log(`  - ${SCREENSHOT_PATH}`);
+  log('\n=== Summary ===');
+  log(`Timer: ${timerValue} (${timerRunning ? 'running' : 'stopped'})`);
+  log(`Session type: ${sessionType}`);
+  log(`Activities scraped: ${activities.length}`);
+  log(`New activities logged: ${newCount}`);
+  log(`\nData saved to:`);
+  if (storage.backend === 'csv') {
+    log(`  - ${paths.activities}`);
+    log(`  - ${paths.snapshots}`);
+    log(`  - ${paths.presence}`);
+  } else {
+    log(`  - ${storage.backend} storage`);
+  }
+  log(`  - ${paths.screenshot}`);
 
   return { timerValue, timerRunning, sessionType, activitiesScraped: activities.length, newActivities: newCount };
 }
 
+// Main scraper function
+// Rooms are scraped in parallel in one browser, since most of the time is spent
+// waiting for the server to push user data
+async function scrape() {
+  const scrapeTime = new Date();
+  console.log(`\n=== Cuckoo Scraper - ${scrapeTime.toISOString()} ===\n`);
+  console.log(`Rooms: ${ROOMS.map(r => r.id).join(', ')}`);
+  if (CUCKOO_BASE_URL !== DEFAULT_BASE_URL) console.log(`Site: ${CUCKOO_BASE_URL}`);
+
+  const storage = openStorage();
+  const browser = await launchBrowser();
+  let results;
+  try {
+    results = await Promise.allSettled(ROOMS.map(room => scrapeRoom(browser, storage, room, scrapeTime)));
+  } finally {
+    await browser.close();
+    storage.close();
+  }
+
+  // One broken room shouldn't throw away the others' data
+  const failed = results
+    .map((result, idx) => ({ result, room: ROOMS[idx] }))
+    .filter(({ result }) => result.status === 'rejected');
+  for (const { result, room } of failed) {
+    console.error(`Room ${room.id} failed:`, result.reason);
+  }
+  if (failed.length === ROOMS.length) {
+    throw new Error('All rooms failed to scrape');
+  }
+
+  return results.map(r => r.value);
+}
+
+// Listen to a single room over a persistent Socket.IO connection
+// Timer transitions and joins/leaves are buffered with exact timestamps and
+// written out by flush()
+function listenRoom(storage, room) {
+  const log = (message) => console.log(`[${new Date().toISOString()}] [${room.id}] ${message}`);
+  initRoom(storage, room.id);
+
+  const pending = { activities: [], presence: [], snapshots: [] };
+  let users = null; // Unknown until the server sends a user list
+  let lastTimer = null;
+  let lastPresenceWrite = 0;
+  let lastSnapshotWrite = 0;
+  let reconnectDelay = 1000;
+
+  const socket = io(`${CUCKOO_BASE_URL}/${room.id}`, {
+    transports: ['websocket'],
+    reconnection: true,
+    reconnectionDelay: 1000,
+    reconnectionDelayMax: LISTEN_MAX_BACKOFF_MS,
+    randomizationFactor: 0.5
+  });
+
+  const recordPresence = (time, names) => {
+    pending.presence.push(presenceRecord(time, names));
+    lastPresenceWrite = time.getTime();
+  };
+
+  const recordSnapshot = (time, state) => {
+    pending.snapshots.push(snapshotRecord(time, state));
+    lastSnapshotWrite = time.getTime();
+  };
+
+  socket.on('connect', () => {
+    log('Socket.IO connected');
+    reconnectDelay = 1000;
+  });
+
+  socket.on('disconnect', (reason) => {
+    log(`Disconnected (${reason})`);
+    // State is unknown until the server resends it - don't record stale leaves
+    users = null;
+    lastTimer = null;
+
+    // The client only reconnects by itself after transport errors
+    if (reason === 'io server disconnect') {
+      log(`Reconnecting in ${Math.round(reconnectDelay / 1000)}s...`);
+      setTimeout(() => socket.connect(), reconnectDelay);
+      reconnectDelay = Math.min(reconnectDelay * 2, LISTEN_MAX_BACKOFF_MS);
+    }
+  });
+
+  socket.on('connect_error', (err) => {
+    log(`Connection error: ${err.message}`);
+  });
+
+  socket.io.on('reconnect_attempt', (attempt) => {
+    log(`Reconnecting (attempt ${attempt})...`);
+  });
+
+  const timerState = trackTimerState(socket, (state) => {
+    const now = new Date();
+    const started = state.timerRunning &&
+      (!lastTimer?.running || state.timerSeconds > lastTimer.seconds + 1);
+    const stopped = !state.timerRunning && lastTimer?.running;
+    const typeChanged = lastTimer && state.sessionType !== lastTimer.type;
+
+    if (!lastTimer || started || stopped || typeChanged) {
+      recordSnapshot(now, state);
+      if (lastTimer) {
+        log(`Timer ${started ? 'started' : stopped ? 'stopped' : 'changed'}: ${state.timerValue} (${state.sessionType})`);
+      }
+    }
+
+    lastTimer = { running: state.timerRunning, seconds: state.timerSeconds, type: state.sessionType };
+  });
+
+  const updateUsers = (data) => {
+    const now = new Date();
+    const names = NAMES.resolveNames(extractUserNames(data));
+
+    if (users === null) {
+      // First list after (re)connecting - we can't tell who just arrived
+      log(`Users: ${names.length > 0 ? names.join(', ') : 'none'}`);
+      recordPresence(now, names);
+      users = names;
+      return;
+    }
+
+    const joined = names.filter(u => !users.includes(u));
+    const left = users.filter(u => !names.includes(u));
+    if (joined.length === 0 && left.length === 0) return;
+
+    for (const user of joined) {
+      log(`${user} joined`);
+      pending.activities.push(activityRecord(now, now, user, 'joined this cuckoo', 'live'));
+    }
+    for (const user of left) {
+      log(`${user} left`);
+      pending.activities.push(activityRecord(now, now, user, 'left this cuckoo', 'live'));
+    }
+
+    recordPresence(now, names);
+    users = names;
+  };
+
+  socket.on('update users', updateUsers);
+  socket.on('update activity', (data) => {
+    if (data?.users) updateUsers(data.users);
+  });
+
+  // Write buffered rows, re-recording unchanged state once per heartbeat
+  const flush = () => {
+    const now = new Date();
+
+    if (users !== null && now.getTime() - lastPresenceWrite >= LISTEN_HEARTBEAT_MS) {
+      recordPresence(now, users);
+    }
+    if (lastTimer && now.getTime() - lastSnapshotWrite >= LISTEN_HEARTBEAT_MS) {
+      recordSnapshot(now, timerState);
+    }
+
+    for (const [kind, records] of Object.entries(pending)) {
+      storage.append(room.id, kind, records);
+      records.length = 0;
+    }
+  };
+
+  const close = () => {
+    socket.disconnect();
+  };
+
+  return { flush, close };
+}
+
+// Listen mode: keep a connection open to every room until interrupted
+function listen() {
+  console.log(`\n=== Cuckoo Listener - ${new Date().toISOString()} ===\n`);
+  console.log(`Rooms: ${ROOMS.map(r => r.id).join(', ')}`);
+  if (CUCKOO_BASE_URL !== DEFAULT_BASE_URL) console.log(`Site: ${CUCKOO_BASE_URL}`);
+
+  const storage = openStorage();
+  const listeners = ROOMS.map(room => listenRoom(storage, room));
+  const flushAll = () => listeners.forEach(l => l.flush());
+  const interval = setInterval(flushAll, LISTEN_FLUSH_MS);
+
+  const shutdown = (signal) => {
+    console.log(`\n${signal} received, flushing and shutting down...`);
+    clearInterval(interval);
+    listeners.forEach(l => l.close());
+    flushAll();
+    storage.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+module.exports = { roundForDedup, parseTimeAgoMs, extractUserNames };
+
 // Run
-scrape().catch(err => {
-  console.error('Scraper failed:', err);
-  process.exit(1);
-});
+if (require.main === module) {
+  const { values: args } = parseArgs({
+    options: {
+      listen: { type: 'boolean', default: false }
+    }
+  });
+
+  if (args.listen) {
+    listen();
+  } else {
+    scrape().catch(err => {
+      console.error('Scraper failed:', err);
+      process.exit(1);
+    });
+  }
+}
@@ -0,0 +1,335 @@
+// Read-only HTTP API
+// Serves the data leaderboard.js computes to other tools (bots, widgets) in small
+// JSON responses, instead of the whole leaderboard.json, and pushes presence and
+// timer changes as new scrapes land:
+//
+//   GET /api/leaderboard?period=&metric=&room=&limit=  ranked users: period all (default),
+//                                                     today, week, month or custom;
+//                                                     metric presence, work, pomodoros or points
+//   GET /api/users/<name>                             a user's profile (aliases work too)
+//   GET /api/activity?from=&to=&user=&room=           timers and who was counted, newest first
+//   GET /api/presence/now                             who is in each room, and its timer
+//   GET /api/events                                   Server-Sent Events: "presence" when the
+//                                                     people in a room change, "timer" when
+//                                                     its reading changes, "leaderboard" when
+//                                                     leaderboard.json is regenerated
+//
+// Computed files (leaderboard.json, rooms/<room>/leaderboard.json, users/) are
+// read on each request. The raw presence and timer data is checked every
+// --poll seconds for new rows, through the configured storage backend.
+//
+// Usage: node server.js [--port 4200] [--host 127.0.0.1] [--poll 10]
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { parseArgs } = require('util');
+const { DATA_DIR, USERS_DIR, RANKING_METRICS, getRooms, getRoomPaths, getProfileFileName } = require('./lib/config');
+const { openStorage } = require('./lib/storage');
+const { createNameResolver } = require('./lib/identity');
+const { rankingValue, calculatePoints } = require('./leaderboard');
+
+const DEFAULT_PORT = 4200;
+const DEFAULT_POLL_SECONDS = 10;
+const KEEPALIVE_MS = 30 * 1000;
+const LEADERBOARD_PATH = path.join(DATA_DIR, 'leaderboard.json');
+
+const NAMES = createNameResolver();
+
+// Timer session types as stored in snapshots.csv
+const SESSION_TYPES = { work: 'work', breakTime: 'break' };
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function readJSON(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+// The combined leaderboard, or one room's
+function readLeaderboard(roomId) {
+  if (roomId && !getRooms().some(room => room.id === roomId)) {
+    throw httpError(404, `Unknown room "${roomId}"`);
+  }
+  const board = readJSON(roomId ? getRoomPaths(roomId).leaderboard : LEADERBOARD_PATH);
+  if (!board) throw httpError(503, 'No leaderboard yet - run the leaderboard first');
+  return board;
+}
+
+// A time query parameter (anything Date can parse), or null if absent
+function parseTimeParam(params, name) {
+  const value = params.get(name);
+  if (!value) return null;
+  const time = new Date(value);
+  if (isNaN(time)) throw httpError(400, `Invalid ${name} "${value}"`);
+  return time;
+}
+
+// Ranked users of a period, by the board's metric or another one
+function leaderboardResponse(board, params) {
+  const period = params.get('period') || 'all';
+  const source = period === 'all' ? board : board.periods?.[period];
+  if (!source) {
+    throw httpError(400, `Unknown period "${period}" (expected ${['all', ...Object.keys(board.periods || {})].join(', ')})`);
+  }
+  const metric = params.get('metric') || board.scoring.rankBy;
+  if (!RANKING_METRICS.includes(metric)) {
+    throw httpError(400, `Unknown metric "${metric}" (expected ${RANKING_METRICS.join(', ')})`);
+  }
+  const limit = params.has('limit') ? Number(params.get('limit')) : Infinity;
+  if (!(limit > 0)) throw httpError(400, `Invalid limit "${params.get('limit')}"`);
+
+  // Points are only stored when the board is ranked by them
+  const users = source.users.map(({ profile, ...u }) => (metric === 'points' && u.points === undefined
+    ? { ...u, points: calculatePoints(u) }
+    : u));
+  if (metric !== board.scoring.rankBy) {
+    users.sort((a, b) => rankingValue(b, metric) - rankingValue(a, metric) || b.totalPresenceMinutes - a.totalPresenceMinutes);
+  }
+
+  return {
+    generated: board.generated,
+    room: board.room?.id || null,
+    period,
+    label: source.label || null,
+    metric,
+    users: users.slice(0, limit).map((u, idx) => ({ rank: idx + 1, ...u }))
+  };
+}
+
+// A name from a URL path, or a 400 for a malformed one
+function decodeName(encoded) {
+  try {
+    return decodeURIComponent(encoded);
+  } catch (err) {
+    throw httpError(400, `Malformed name "${encoded}"`);
+  }
+}
+
+// A user's profile page data; names match case-insensitively and through aliases
+function userResponse(name) {
+  const canonical = NAMES.resolve(name);
+  const board = readLeaderboard(null);
+  const entry = canonical && board.users.find(u => u.user.toLowerCase() === canonical.toLowerCase());
+  const profile = entry && readJSON(path.join(USERS_DIR, getProfileFileName(entry.user)));
+  if (!profile) throw httpError(404, `No user "${name}"`);
+  return profile;
+}
+
+// Timers from the activity log that started in [from, to), optionally only one
+// user's (started by them or counted for them, any case) or one room's
+function activityResponse(board, params) {
+  const from = parseTimeParam(params, 'from');
+  const to = parseTimeParam(params, 'to');
+  const user = params.get('user') && (NAMES.resolve(params.get('user')) || params.get('user'));
+  const room = params.get('room');
+  const isUser = name => name && name.toLowerCase() === user.toLowerCase();
+
+  const activity = board.activityLog.filter(a => {
+    const time = new Date(a.time);
+    return (!from || time >= from) && (!to || time < to) &&
+      (!user || isUser(a.startedBy) || a.participants.some(isUser)) &&
+      (!room || a.room === room);
+  });
+
+  return {
+    generated: board.generated,
+    from: from?.toISOString() || null,
+    to: to?.toISOString() || null,
+    user: user || null,
+    room: room || null,
+    count: activity.length,
+    activity
+  };
+}
+
+// Watches the raw data for new presence and timer rows, keeping each room's
+// latest state (names resolved as the leaderboard does); onEvent(name, data) is
+// called for every change
+// Files can be read mid-write, so a failed check is logged and tried again on
+// the next poll (positions only move on after a successful read)
+function createDataWatcher(storage, rooms, onEvent = () => {}, log = console.log) {
+  const positions = {};
+  const current = Object.fromEntries(rooms.map(room => [room.id, { id: room.id, name: room.name, time: null, users: [], timer: null }]));
+  let leaderboardModified = null;
+
+  // Rows added since the last check (all of them the first time, or if the data was rewritten)
+  const readRows = (roomId, kind) => {
+    const key = `${roomId}/${kind}`;
+    const read = storage.readNew(roomId, kind, positions[key] ?? null) || storage.readNew(roomId, kind, null);
+    positions[key] = read.position;
+    return read.records;
+  };
+
+  const pollRoom = (room) => {
+    const state = current[room.id];
+
+    const presence = readRows(room.id, 'presence').pop();
+    if (presence) {
+      const users = NAMES.resolveNames(presence.users.split(';').filter(u => u));
+      const joined = users.filter(u => !state.users.includes(u));
+      const left = state.users.filter(u => !users.includes(u));
+      state.time = presence.timestamp;
+      state.users = users;
+      if (joined.length > 0 || left.length > 0) {
+        onEvent('presence', { room: room.id, time: presence.timestamp, users, joined, left });
+      }
+    }
+
+    const snapshot = readRows(room.id, 'snapshots').pop();
+    if (snapshot) {
+      const previous = state.timer;
+      state.timer = {
+        time: snapshot.timestamp,
+        running: snapshot.timer_running === 'true',
+        value: snapshot.timer_value,
+        type: SESSION_TYPES[snapshot.session_type] || null
+      };
+      const changed = !previous || ['running', 'value', 'type'].some(key => previous[key] !== state.timer[key]);
+      if (changed) onEvent('timer', { room: room.id, ...state.timer });
+    }
+  };
+
+  const poll = () => {
+    for (const room of rooms) {
+      try {
+        pollRoom(room);
+      } catch (err) {
+        log(`Could not check ${room.id} for new data: ${err.message}`);
+      }
+    }
+
+    try {
+      const modified = fs.existsSync(LEADERBOARD_PATH) ? fs.statSync(LEADERBOARD_PATH).mtimeMs : null;
+      if (modified !== leaderboardModified) {
+        const board = readJSON(LEADERBOARD_PATH);
+        leaderboardModified = modified;
+        if (board) onEvent('leaderboard', { generated: board.generated });
+      }
+    } catch (err) {
+      log(`Could not read ${LEADERBOARD_PATH}: ${err.message}`);
+    }
+  };
+
+  return {
+    poll,
+    now: () => ({ rooms: Object.values(current) })
+  };
+}
+
+// Start the server; resolves to { url, poll, close }
+// poll() checks the data for changes right away, as the timer does every pollMs
+async function startServer({ port = 0, host = '127.0.0.1', pollMs = DEFAULT_POLL_SECONDS * 1000, log = console.log } = {}) {
+  const storage = openStorage();
+  const clients = new Set();
+
+  const send = (res, name, data) => res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+  const watcher = createDataWatcher(storage, getRooms(), (name, data) => {
+    clients.forEach(res => send(res, name, data));
+  }, log);
+  // The first poll only records where things stand
+  watcher.poll();
+
+  const routes = [
+    [/^\/api\/leaderboard$/, params => leaderboardResponse(readLeaderboard(params.get('room')), params)],
+    [/^\/api\/users\/([^/]+)$/, (params, name) => userResponse(decodeName(name))],
+    [/^\/api\/activity$/, params => activityResponse(readLeaderboard(null), params)],
+    [/^\/api\/presence\/now$/, () => watcher.now()]
+  ];
+
+  const httpServer = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const headers = { 'Access-Control-Allow-Origin': '*', 'Cache-Control': 'no-store' };
+    const sendJSON = (status, body) => {
+      res.writeHead(status, { ...headers, 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method !== 'GET') {
+      sendJSON(405, { error: 'Read-only API: only GET is supported' });
+      return;
+    }
+
+    if (url.pathname === '/api/events') {
+      res.writeHead(200, { ...headers, 'Content-Type': 'text/event-stream', Connection: 'keep-alive' });
+      // Start from the current state, then changes as they happen
+      for (const room of watcher.now().rooms) {
+        send(res, 'presence', { room: room.id, time: room.time, users: room.users, joined: [], left: [] });
+        if (room.timer) send(res, 'timer', { room: room.id, ...room.timer });
+      }
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+
+    for (const [pattern, handler] of routes) {
+      const match = url.pathname.match(pattern);
+      if (!match) continue;
+      try {
+        sendJSON(200, handler(url.searchParams, ...match.slice(1)));
+      } catch (err) {
+        if (!err.status) log(`Error serving ${req.url}: ${err.stack}`);
+        sendJSON(err.status || 500, { error: err.status ? err.message : 'Internal error' });
+      }
+      return;
+    }
+    sendJSON(404, { error: `Not found: ${url.pathname}` });
+  });
+
+  const poller = setInterval(watcher.poll, pollMs);
+  // Comments keep idle event streams from being closed by proxies
+  const keepalive = setInterval(() => clients.forEach(res => res.write(': keepalive\n\n')), KEEPALIVE_MS);
+
+  const close = () => new Promise((resolve) => {
+    clearInterval(poller);
+    clearInterval(keepalive);
+    clients.forEach(res => res.end());
+    storage.close();
+    httpServer.close(() => resolve());
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  return { url: `http://${host}:${httpServer.address().port}`, poll: watcher.poll, close };
+}
+
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      port: { type: 'string', default: String(process.env.PORT || DEFAULT_PORT) },
+      host: { type: 'string', default: '127.0.0.1' },
+      poll: { type: 'string', default: String(DEFAULT_POLL_SECONDS) }
+    }
+  });
+  const pollSeconds = Number(args.poll);
+  if (!(pollSeconds > 0)) {
+    throw new Error(`Invalid --poll "${args.poll}" (expected a number of seconds)`);
+  }
+
+  const log = (message) => console.log(`[${new Date().toISOString()}] ${message}`);
+  const server = await startServer({ port: parseInt(args.port), host: args.host, pollMs: pollSeconds * 1000, log });
+
+  console.log(`\n=== Cuckoo API - ${server.url} ===\n`);
+  console.log(`Data: ${path.relative(process.cwd(), DATA_DIR) || '.'}, checked for new rows every ${pollSeconds}s`);
+  console.log(`Try ${server.url}/api/leaderboard?period=today or ${server.url}/api/events\n`);
+
+  const shutdown = async () => {
+    await server.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+module.exports = { startServer, createDataWatcher, leaderboardResponse, activityResponse };
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Server failed:', err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,35 @@
+// Room analytics: occupancy by weekday and hour, daily visitors and pomodoros
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { attributeTimer, buildRoomAnalytics, summarizeRoomAnalytics } = require('../leaderboard');
+
+// 2026-01-05 is a Monday
+const at = (day, time) => new Date(`2026-01-${day}T${time}Z`);
+
+test('occupancy, visitors and pomodoros are aggregated per room', () => {
+  const userWindows = {
+    Ana: [
+      { joinTime: at('05', '09:00:00'), leaveTime: at('05', '10:00:00') },
+      { joinTime: at('06', '09:30:00'), leaveTime: at('06', '10:00:00') }
+    ],
+    Ben: [{ joinTime: at('06', '09:00:00'), leaveTime: at('06', '10:00:00') }]
+  };
+  const timers = [
+    { type: 'work', startTime: at('06', '09:05:00'), endTime: at('06', '09:30:00'), duration: 25, startedBy: 'Ben' },
+    { type: 'break', startTime: at('06', '09:30:00'), endTime: at('06', '09:35:00'), duration: 5, startedBy: 'Ben' }
+  ];
+  const analytics = summarizeRoomAnalytics(buildRoomAnalytics(userWindows, timers, timers.map(t => attributeTimer(userWindows, t))));
+
+  // Observed from Monday 9:00 to Tuesday 10:00: each of these hours once
+  assert.equal(analytics.occupancy[0][9], 1);
+  assert.equal(analytics.occupancy[1][9], 1.5);
+  assert.equal(analytics.occupancy[0][10], 0);
+  assert.deepEqual(analytics.peakHours.map(p => [p.weekday, p.hour]), [[1, 9], [0, 9]]);
+
+  assert.deepEqual(analytics.daily, [
+    { day: '2026-01-05', visitors: 1, newUsers: 1, returningUsers: 0, sessions: 1, averageSessionMinutes: 60, pomodoros: 0 },
+    { day: '2026-01-06', visitors: 2, newUsers: 1, returningUsers: 1, sessions: 2, averageSessionMinutes: 45, pomodoros: 1 }
+  ]);
+  assert.equal(analytics.averageSessionMinutes, 50);
+});
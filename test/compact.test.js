@@ -0,0 +1,133 @@
+// Raw data compaction: collapsed presence rows and monthly archives must leave the
+// leaderboard exactly as it was
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { collapsePresence, firstLiveMonth, splitArchivable } = require('../compact');
+const { readCSV } = require('../lib/csv');
+
+const ROOT = path.join(__dirname, '..');
+const CONFIG = path.join(__dirname, 'fixtures', 'synthetic', 'cuckoo.config.json');
+
+const presence = (timestamp, users) => ({ timestamp, user_count: String(users.length), users: users.join(';') });
+
+test('runs of unchanged presence rows keep their first and last row', () => {
+  const rows = [
+    presence('2026-01-05T09:00:00.000Z', []),
+    presence('2026-01-05T09:05:00.000Z', []),
+    presence('2026-01-05T09:10:00.000Z', []),
+    presence('2026-01-05T09:15:00.000Z', ['Ana']),
+    presence('2026-01-05T09:20:00.000Z', ['Ana']),
+    presence('2026-01-05T09:25:00.000Z', ['Ana']),
+    presence('2026-01-05T09:30:00.000Z', ['Ana']),
+    presence('2026-01-05T09:35:00.000Z', ['Ana', 'Ben'])
+  ];
+  assert.deepEqual(collapsePresence(rows).map(r => r.timestamp.slice(11, 16)), ['09:00', '09:10', '09:15', '09:30', '09:35']);
+});
+
+test('only whole months before the retention age are archived, in file order', () => {
+  assert.equal(firstLiveMonth(new Date('2026-04-10T00:00:00.000Z'), 90), '2026-01');
+
+  const activity = (estimated, scraped) => ({ estimated_time: estimated, scrape_time: scraped });
+  const { months, live } = splitArchivable('activities', [
+    activity('2025-12-30T10:00:00.000Z', '2025-12-30T10:05:00.000Z'),
+    // Scraped in January: archived with January even though it happened in December
+    activity('2025-12-31T23:58:00.000Z', '2026-01-01T00:03:00.000Z'),
+    activity('2026-01-20T10:00:00.000Z', '2026-01-20T10:05:00.000Z'),
+    // Out of order: stays with the rows around it
+    activity('2026-01-31T23:50:00.000Z', '2026-01-31T23:55:00.000Z'),
+    activity('2026-02-01T00:00:00.000Z', '2026-02-01T00:05:00.000Z'),
+    activity('2026-01-31T23:59:00.000Z', '2026-01-31T23:59:30.000Z')
+  ], '2026-02');
+
+  assert.deepEqual(Object.fromEntries(Object.entries(months).map(([month, rows]) => [month, rows.length])),
+    { '2025-12': 1, '2026-01': 3 });
+  assert.deepEqual(live.map(r => r.scrape_time), ['2026-02-01T00:05:00.000Z', '2026-01-31T23:59:30.000Z']);
+});
+
+// A room whose data runs from December into January, with Ana present across midnight
+const FILES = {
+  activities: [
+    'estimated_time,scrape_time,user,action,time_ago_raw',
+    '2025-12-31T23:20:00.000Z,2025-12-31T23:25:00.000Z,Ana,joined this cuckoo,5 min ago',
+    '2025-12-31T23:50:00.000Z,2025-12-31T23:55:00.000Z,Ana,started a 25 minute work session,5 min ago',
+    '2026-01-01T00:07:00.000Z,2026-01-01T00:10:00.000Z,Ben,joined this cuckoo,3 min ago',
+    '2026-01-01T00:15:00.000Z,2026-01-01T00:20:00.000Z,Ben,started a 5 minute break,5 min ago'
+  ],
+  presence: [
+    'timestamp,user_count,users',
+    '2025-12-31T23:00:00.000Z,0,',
+    '2025-12-31T23:05:00.000Z,0,',
+    '2025-12-31T23:10:00.000Z,0,',
+    '2025-12-31T23:25:00.000Z,1,Ana',
+    '2025-12-31T23:30:00.000Z,1,Ana',
+    '2025-12-31T23:35:00.000Z,1,Ana',
+    '2025-12-31T23:55:00.000Z,1,Ana',
+    '2026-01-01T00:10:00.000Z,2,Ana;Ben',
+    '2026-01-01T00:15:00.000Z,2,Ana;Ben',
+    '2026-01-01T00:20:00.000Z,2,Ana;Ben',
+    '2026-01-01T00:25:00.000Z,1,Ben',
+    '2026-01-01T00:30:00.000Z,1,Ben',
+    '2026-01-01T01:30:00.000Z,1,Ben',
+    '2026-01-01T01:35:00.000Z,0,'
+  ],
+  snapshots: [
+    'timestamp,timer_running,timer_value,session_type',
+    '2025-12-31T23:55:00.000Z,true,20:00,work',
+    '2026-01-01T00:10:00.000Z,true,05:00,work',
+    '2026-01-01T00:20:00.000Z,true,04:00,break'
+  ]
+};
+
+function run(script, dataDir, args) {
+  return execFileSync(process.execPath, [path.join(ROOT, script), ...args], {
+    env: { PATH: process.env.PATH, CUCKOO_DATA_DIR: dataDir, CUCKOO_CONFIG: CONFIG },
+    encoding: 'utf8'
+  });
+}
+
+// leaderboard.json and the user profiles
+function readResults(dataDir) {
+  const usersDir = path.join(dataDir, 'users');
+  return {
+    leaderboard: fs.readFileSync(path.join(dataDir, 'leaderboard.json'), 'utf8'),
+    users: fs.readdirSync(usersDir).sort().map(file => fs.readFileSync(path.join(usersDir, file), 'utf8'))
+  };
+}
+
+test('the leaderboard reads archives and live data as it read the original files', (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cuckoo-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const roomDir = path.join(dataDir, 'rooms', 'SyntheticRoom');
+  fs.mkdirSync(roomDir, { recursive: true });
+  for (const [kind, lines] of Object.entries(FILES)) {
+    fs.writeFileSync(path.join(roomDir, `${kind}.csv`), lines.join('\n') + '\n');
+  }
+
+  const now = ['--now', '2026-01-01T12:00:00.000Z'];
+  run('leaderboard.js', dataDir, [...now, '--incremental']);
+  const before = readResults(dataDir);
+
+  run('compact.js', dataDir, [...now, '--older-than', '0']);
+  assert.deepEqual(readCSV(path.join(roomDir, 'presence.csv')).map(r => r.timestamp.slice(11, 16)),
+    ['00:10', '00:20', '00:25', '01:30', '01:35']);
+  assert.deepEqual(readCSV(path.join(roomDir, 'archive', '2025-12', 'presence.csv')).map(r => r.timestamp.slice(11, 16)),
+    ['23:00', '23:10', '23:25', '23:55']);
+  const summary = JSON.parse(fs.readFileSync(path.join(roomDir, 'archive', '2025-12', 'summary.json'), 'utf8'));
+  assert.deepEqual(summary.rows, { activities: 2, presence: 4, snapshots: 1 });
+  assert.deepEqual(summary.users, { Ana: { daysSeen: 1, joins: 1, timersStarted: 1 } });
+
+  // The checkpoint no longer matches the files, so this is a full rebuild
+  const output = run('leaderboard.js', dataDir, [...now, '--incremental']);
+  assert.match(output, /Data files changed since checkpoint - full rebuild/);
+  assert.deepEqual(readResults(dataDir), before);
+
+  // Compacting again changes nothing
+  assert.match(run('compact.js', dataDir, [...now, '--older-than', '0']), /Unchanged presence rows collapsed: 0/);
+  run('leaderboard.js', dataDir, [...now, '--incremental']);
+  assert.deepEqual(readResults(dataDir), before);
+});
@@ -0,0 +1,49 @@
+// Co-working graph: shared work minutes and pomodoros per pair, recurring groups
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { attributeTimer, buildCoworkingGraph, summarizeCoworking } = require('../leaderboard');
+
+const at = (time) => new Date(`2026-01-05T${time}Z`);
+const work = (start, end) => ({ type: 'work', startTime: at(start), endTime: at(end), duration: 25, startedBy: 'Ana' });
+
+function graphFor(userWindows, timers) {
+  return buildCoworkingGraph(userWindows, timers, timers.map(timer => attributeTimer(userWindows, timer)));
+}
+
+test('pairs share the work minutes both were present for', () => {
+  const userWindows = {
+    Ana: [{ joinTime: at('09:00:00'), leaveTime: at('10:00:00') }],
+    Ben: [{ joinTime: at('09:00:00'), leaveTime: at('09:20:00') }],
+    // Too late for the pomodoro count, but still works alongside Ana
+    Cy: [{ joinTime: at('09:20:00'), leaveTime: at('10:00:00') }]
+  };
+  const { pairs } = summarizeCoworking(graphFor(userWindows, [
+    work('09:05:00', '09:30:00'),
+    { type: 'break', startTime: at('09:30:00'), endTime: at('09:35:00'), duration: 5, startedBy: 'Ana' }
+  ]));
+
+  assert.deepEqual(pairs, [
+    { users: ['Ana', 'Ben'], pomodoros: 1, workMinutes: 15 },
+    { users: ['Ana', 'Cy'], pomodoros: 0, workMinutes: 10 }
+  ]);
+});
+
+test('the same group meeting for several pomodoros is a recurring group', () => {
+  const userWindows = {
+    Ana: [{ joinTime: at('09:00:00'), leaveTime: at('12:00:00') }],
+    Ben: [{ joinTime: at('09:00:00'), leaveTime: at('12:00:00') }],
+    Cy: [{ joinTime: at('09:00:00'), leaveTime: at('12:00:00') }],
+    Dee: [{ joinTime: at('10:50:00'), leaveTime: at('12:00:00') }]
+  };
+  const timers = [
+    work('09:00:00', '09:25:00'),
+    work('09:30:00', '09:55:00'),
+    work('10:00:00', '10:25:00'),
+    work('11:00:00', '11:25:00')
+  ];
+  const { groups } = summarizeCoworking(graphFor(userWindows, timers));
+
+  // Dee's arrival made the last pomodoro a different group, seen once
+  assert.deepEqual(groups, [{ users: ['Ana', 'Ben', 'Cy'], pomodoros: 3, lastTime: '2026-01-05T10:00:00.000Z' }]);
+});
@@ -0,0 +1,83 @@
+// RFC 4180 CSV reading and writing, and the migration's repair of old rows
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCSV, parseCSVRows, formatCSVRow, readCSVFrom } = require('../lib/csv');
+const { repairActivity, repairPresence, migrateFile } = require('../migrate-csv');
+
+test('quoted fields keep commas, doubled quotes and line breaks', () => {
+  assert.deepEqual(parseCSV('a,"b, c","say ""hi""","two\nlines"\n'), [['a', 'b, c', 'say "hi"', 'two\nlines']]);
+});
+
+test('CRLF line endings and blank lines', () => {
+  assert.deepEqual(parseCSV('a,b\r\n\r\nc,d\r\n'), [['a', 'b'], ['c', 'd']]);
+  assert.deepEqual(parseCSVRows('a\n"x\ny"\nb').map(r => r.line), [1, 2, 4]);
+});
+
+test('unbalanced quotes are errors', () => {
+  assert.throws(() => parseCSV('a,"b\nc\n'), /Unterminated quoted field starting on line 1/);
+  assert.throws(() => parseCSV('a,"b"c\n'), /after closing quote on line 1/);
+  // Quotes inside an unquoted field are kept as-is
+  assert.deepEqual(parseCSV('a,b"c\n'), [['a', 'b"c']]);
+});
+
+test('formatted rows parse back to the same values', () => {
+  const values = ['plain', 'with, comma', 'with "quotes"', 'multi\r\nline', ' padded ', '', 42];
+  const line = formatCSVRow(values);
+  assert.equal(line, 'plain,"with, comma","with ""quotes""","multi\r\nline"," padded ",,42\n');
+  assert.deepEqual(parseCSV(line), [values.map(String)]);
+});
+
+test('appended rows are read from the previous position, complete lines only', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cuckoo-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'presence.csv');
+  fs.writeFileSync(file, 'timestamp,user_count,users\n2026-01-05T09:00:00.000Z,1,Ana\n2026-01-05T09:05');
+
+  const first = readCSVFrom(file);
+  assert.deepEqual(first.records.map(r => r.users), ['Ana']);
+  fs.appendFileSync(file, ':00.000Z,2,"Ana;B, n"\n');
+  assert.deepEqual(readCSVFrom(file, first.position).records.map(r => r.users), ['Ana;B, n']);
+
+  fs.writeFileSync(file, 'timestamp,user_count,users\n');
+  assert.equal(readCSVFrom(file, first.position), null);
+});
+
+test('old activity rows are split at the comma before the action verb', () => {
+  assert.deepEqual(
+    repairActivity('2026-01-05T09:00:00.000Z,2026-01-05T09:05:00.000Z,Smith, Ana,started a 25 minute work session,5 min ago'),
+    ['2026-01-05T09:00:00.000Z', '2026-01-05T09:05:00.000Z', 'Smith, Ana', 'started a 25 minute work session', '5 min ago']
+  );
+  assert.equal(repairActivity('2026-01-05T09:00:00.000Z,x,Ana,waved,1 min ago'), null);
+  assert.equal(repairActivity('too,short'), null);
+});
+
+test('old presence rows keep everything after the count as the user list', () => {
+  assert.deepEqual(repairPresence('2026-01-05T09:00:00.000Z,2,Ana;Smith, Ben'), ['2026-01-05T09:00:00.000Z', '2', 'Ana;Smith, Ben']);
+  assert.deepEqual(repairPresence('2026-01-05T09:00:00.000Z,1,"Ana'), ['2026-01-05T09:00:00.000Z', '1', 'Ana']);
+  assert.equal(repairPresence('2026-01-05T09:00:00.000Z'), null);
+});
+
+test('migration keeps good rows, repairs old ones and rejects the rest', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cuckoo-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'activities.csv');
+  fs.writeFileSync(file, [
+    'estimated_time,scrape_time,user,action,time_ago_raw',
+    't1,s1,Ana,joined this cuckoo,1 min ago',
+    't2,s2,Smith, Ben,left this cuckoo,2 min ago',
+    't3,s3,Cy,"waved,3 min ago',
+    ''
+  ].join('\r\n'));
+
+  const { rows, repaired, rejected } = migrateFile(file, 'activities');
+  assert.deepEqual(rows, [
+    ['t1', 's1', 'Ana', 'joined this cuckoo', '1 min ago'],
+    ['t2', 's2', 'Smith, Ben', 'left this cuckoo', '2 min ago']
+  ]);
+  assert.deepEqual(repaired.map(r => [r.lineNumber, r.after]), [[3, 't2,s2,"Smith, Ben",left this cuckoo,2 min ago']]);
+  assert.deepEqual(rejected.map(r => r.lineNumber), [4]);
+});
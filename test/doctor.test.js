@@ -0,0 +1,163 @@
+// Data doctor: problem detection, line numbers and the cleaned copy
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { checkFile, cleanRows, formatLines } = require('../doctor');
+const { readCSV } = require('../lib/csv');
+
+const NOW = new Date('2026-01-05T12:00:00.000Z');
+
+const FILES = {
+  activities: [
+    'estimated_time,scrape_time,user,action,time_ago_raw',
+    '2026-01-05T09:06:00.000Z,2026-01-05T09:10:00.000Z,Ana,started a 25 minute work session,4 min ago',
+    '2026-01-05T09:06:00.000Z,2026-01-05T09:35:00.000Z,Ana,started a 25 minute work session,29 min ago',
+    '2026-01-03T09:00:00.000Z,2026-01-05T09:35:00.000Z,Ben,joined this cuckoo,2 days ago',
+    '2026-01-05T09:40:00.000Z,2026-01-05T09:35:00.000Z,Ben,"joined this cuckoo, again",just now',
+    'not a time,2026-01-05T09:35:00.000Z,Ben,joined this cuckoo,1 min ago'
+  ],
+  presence: [
+    'timestamp,user_count,users',
+    '2026-01-05T09:00:00.000Z,1,Ana',
+    '2026-01-05T09:10:00.000Z,2,Ana;Ana',
+    '2026-01-05T09:20:00.000Z,0,',
+    '2026-01-05T09:30:00.000Z,3,Ana;Ben',
+    '2026-01-05T09:25:00.000Z,1,Ana',
+    '2026-01-05T09:30:00.000Z,2,Ana;Ben',
+    '2026-01-05T13:00:00.000Z,1,Ana'
+  ],
+  snapshots: [
+    'timestamp,timer_running,timer_value,session_type',
+    '2026-01-05T09:00:00.000Z,false,00:00,unknown',
+    '2026-01-05T09:10:00.000Z,true,00:00,work',
+    '2026-01-05T09:20:00.000Z,yes,12:00,work',
+    '2026-01-05T09:25:00.000Z,true,1:05:00,work',
+    '2026-01-05T09:30:00.000Z,false,0:00:00,unknown'
+  ]
+};
+
+function setUpDataDir(t) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cuckoo-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const roomDir = path.join(dataDir, 'rooms', 'DoctorRoom');
+  fs.mkdirSync(roomDir, { recursive: true });
+  for (const [kind, lines] of Object.entries(FILES)) {
+    fs.writeFileSync(path.join(roomDir, `${kind}.csv`), lines.join('\n') + '\n');
+  }
+  return { dataDir, roomDir };
+}
+
+test('activity problems are reported by line', (t) => {
+  const { roomDir } = setUpDataDir(t);
+  const { problems } = checkFile('activities', path.join(roomDir, 'activities.csv'), NOW);
+  assert.deepEqual(problems, {
+    duplicate: [3],
+    'imprecise-time': [4],
+    future: [5],
+    malformed: [6]
+  });
+});
+
+test('re-scraped feed rows a few minutes off are duplicates, and only day-precision times are imprecise', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cuckoo-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'activities.csv');
+  fs.writeFileSync(file, [
+    'estimated_time,scrape_time,user,action,time_ago_raw',
+    '2026-01-05T09:59:00.000Z,2026-01-05T09:59:03.000Z,Tess,started a 25 minute work session,just now',
+    '2026-01-05T10:02:00.000Z,2026-01-05T10:57:43.000Z,Tess,started a 25 minute work session,55 min ago',
+    '2026-01-05T10:24:00.000Z,2026-01-05T10:57:43.000Z,Tess,started a 25 minute work session,33 min ago',
+    '2026-01-04T11:00:00.000Z,2026-01-05T11:00:00.000Z,Ben,joined this cuckoo,yesterday',
+    '2026-01-05T10:00:00.000Z,2026-01-05T11:00:00.000Z,Ben,left this cuckoo,today',
+    ''
+  ].join('\n'));
+
+  assert.deepEqual(checkFile('activities', file, NOW).problems, { duplicate: [3], 'imprecise-time': [5] });
+});
+
+test('presence problems are reported by line', (t) => {
+  const { roomDir } = setUpDataDir(t);
+  const { problems } = checkFile('presence', path.join(roomDir, 'presence.csv'), NOW);
+  assert.deepEqual(problems, {
+    'duplicate-user': [3],
+    'missed-users': [4],
+    'count-mismatch': [5],
+    'out-of-order': [6],
+    'duplicate-time': [7],
+    future: [8]
+  });
+});
+
+test('snapshot problems are reported by line', (t) => {
+  const { roomDir } = setUpDataDir(t);
+  const { problems } = checkFile('snapshots', path.join(roomDir, 'snapshots.csv'), NOW);
+  assert.deepEqual(problems, { 'timer-mismatch': [3], malformed: [4] });
+});
+
+test('hour-long countdowns are valid timer values', (t) => {
+  const { roomDir } = setUpDataDir(t);
+  const { rows } = checkFile('snapshots', path.join(roomDir, 'snapshots.csv'), NOW);
+  assert.deepEqual(rows.slice(3).map(row => row.problems), [[], []]);
+});
+
+test('cleaning drops, fixes and reorders rows', (t) => {
+  const { roomDir } = setUpDataDir(t);
+  const { kept, quarantined } = cleanRows('presence', checkFile('presence', path.join(roomDir, 'presence.csv'), NOW).rows);
+  assert.deepEqual(kept.map(r => `${r.timestamp.slice(11, 16)} ${r.user_count} ${r.users}`), [
+    '09:00 1 Ana',
+    '09:10 1 Ana',
+    '09:25 1 Ana',
+    '09:30 2 Ana;Ben'
+  ]);
+  assert.deepEqual(quarantined.map(row => row.line), [4, 7, 8]);
+});
+
+test('line lists are shortened to ranges', () => {
+  assert.equal(formatLines([12, 3, 7, 8, 9]), '3, 7-9, 12');
+});
+
+test('doctor command writes a cleaned copy and quarantine files', (t) => {
+  const { dataDir, roomDir } = setUpDataDir(t);
+  const outDir = path.join(dataDir, 'clean');
+  const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'doctor.js'), '--out', outDir, '--now', NOW.toISOString()], {
+    env: { PATH: process.env.PATH, CUCKOO_DATA_DIR: dataDir, CUCKOO_ROOM: 'DoctorRoom', CUCKOO_CONFIG: path.join(dataDir, 'none.json') },
+    encoding: 'utf8'
+  });
+
+  assert.equal(result.status, 1);
+  assert.match(result.stdout, /missed-users \(1, dropped\): nobody seen/);
+  assert.match(result.stdout, /lines 4\n/);
+
+  const cleanDir = path.join(outDir, 'rooms', 'DoctorRoom');
+  assert.equal(readCSV(path.join(cleanDir, 'activities.csv')).length, 1);
+  const quarantine = readCSV(path.join(cleanDir, 'activities.quarantine.csv'));
+  assert.deepEqual(quarantine.map(r => [r.line, r.problems]), [['3', 'duplicate'], ['4', 'imprecise-time'], ['5', 'future'], ['6', 'malformed']]);
+  assert.equal(quarantine[3].estimated_time, 'not a time');
+
+  // Originals are left alone
+  assert.equal(fs.readFileSync(path.join(roomDir, 'presence.csv'), 'utf8'), FILES.presence.join('\n') + '\n');
+});
+
+test('archived months are checked and cleaned too', (t) => {
+  const { dataDir, roomDir } = setUpDataDir(t);
+  const monthDir = path.join(roomDir, 'archive', '2025-12');
+  fs.mkdirSync(monthDir, { recursive: true });
+  fs.writeFileSync(path.join(monthDir, 'presence.csv'), [
+    'timestamp,user_count,users',
+    '2025-12-01T09:00:00.000Z,1,Ana',
+    '2025-12-01T09:00:00.000Z,1,Ana'
+  ].join('\n') + '\n');
+
+  const outDir = path.join(dataDir, 'clean');
+  const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'doctor.js'), '--out', outDir, '--now', NOW.toISOString()], {
+    env: { PATH: process.env.PATH, CUCKOO_DATA_DIR: dataDir, CUCKOO_ROOM: 'DoctorRoom', CUCKOO_CONFIG: path.join(dataDir, 'none.json') },
+    encoding: 'utf8'
+  });
+
+  assert.match(result.stdout, /archive\/2025-12\/presence\.csv: 2 rows, 1 with problems\n {2}duplicate-time/);
+  assert.equal(readCSV(path.join(outDir, 'rooms', 'DoctorRoom', 'archive', '2025-12', 'presence.csv')).length, 1);
+});
@@ -0,0 +1,93 @@
+// Export formats: CSV, Markdown, iCalendar and OpenMetrics from a generated leaderboard
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { foldLine, leaderboardMarkdown, userCalendar, roomMetrics } = require('../export');
+const { readCSV } = require('../lib/csv');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'synthetic');
+
+const board = {
+  generated: '2026-01-05T12:00:00.000Z',
+  timezone: 'UTC',
+  scoring: { rankBy: 'presence' },
+  rooms: [{ id: 'Room', name: 'The Room', totalUsers: 2, totalPomodoros: 1, currentlyPresent: ['Ana'] }],
+  currentlyPresent: ['Ana'],
+  totalUsers: 2,
+  totalPomodoros: 1,
+  totalWorkMinutes: 25,
+  users: [
+    { user: 'Ana', totalPresenceMinutes: 90, totalWorkMinutes: 25, pomodoroCount: 1, activeDays: 1, longestStreak: 1, firstSeen: '2026-01-05T09:00:00.000Z' },
+    { user: 'B|n', totalPresenceMinutes: 30, totalWorkMinutes: 25, pomodoroCount: 1, activeDays: 1, longestStreak: 1, firstSeen: '2026-01-05T09:00:00.000Z' }
+  ],
+  periods: { today: { label: '2026-01-05', totalUsers: 0, totalPomodoros: 0, users: [] } },
+  activityLog: [
+    { time: '2026-01-05T09:30:00.000Z', endTime: '2026-01-05T09:35:00.000Z', type: 'break', duration: 5, startedBy: 'Ana', participants: ['Ana'], room: 'Room' },
+    { time: '2026-01-05T09:05:00.000Z', endTime: '2026-01-05T09:30:00.000Z', type: 'work', duration: 25, startedBy: 'Ana', participants: ['Ana', 'B|n'], room: 'Room' }
+  ]
+};
+
+test('markdown tables escape pipes in names', () => {
+  const markdown = leaderboardMarkdown(board);
+  assert.match(markdown, /\| 2 \| B\\\|n \| 30m \| 25m \| 1 \| 1 \| 1 \| 2026-01-05 \|/);
+  assert.match(markdown, /## Today \(2026-01-05\)\n\n\*Nobody yet\.\*/);
+  assert.match(markdown, /\| 2026-01-05 09:05 \| 25m \| The Room \| Ana \| Ana, B\\\|n \|/);
+});
+
+test('calendars list the work sessions a user was counted for', () => {
+  const ics = userCalendar(board, 'Ana');
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.equal(ics.split('BEGIN:VEVENT').length - 1, 1);
+  assert.match(ics, /\r\nDTSTART:20260105T090500Z\r\nDTEND:20260105T093000Z\r\n/);
+  assert.match(ics, /\r\nDESCRIPTION:Started by Ana\. With B\|n\.\r\n/);
+  assert.match(ics, /\r\nLOCATION:The Room\r\n/);
+});
+
+test('calendar sessions missing from the feed say where they were seen instead of a starter', () => {
+  const inferred = { time: '2026-01-05T10:00:00.000Z', endTime: '2026-01-05T10:25:00.000Z', type: 'work', duration: 25, startedBy: null, inferred: true, participants: ['Ana'], room: 'Room' };
+  const ics = userCalendar({ ...board, activityLog: [inferred] }, 'Ana');
+  assert.match(ics, /\r\nDESCRIPTION:Seen on the timer\\, not in the activity feed\.\r\n/);
+  assert.doesNotMatch(ics, /null/);
+});
+
+test('long calendar lines are folded at 75 octets', () => {
+  const line = `DESCRIPTION:${'é'.repeat(60)}`;
+  const parts = foldLine(line).split('\r\n');
+  assert.ok(parts.every(part => Buffer.byteLength(part) <= 75));
+  assert.ok(parts.slice(1).every(part => part.startsWith(' ')));
+  assert.equal(parts.map((part, i) => (i === 0 ? part : part.slice(1))).join(''), line);
+});
+
+test('metrics are gauges with room labels, ending in # EOF', () => {
+  const metrics = roomMetrics(board, { Room: { totalWorkMinutes: 25.4, analytics: { sessions: 2, averageSessionMinutes: 60 }, periods: board.periods } });
+  assert.match(metrics, /# TYPE cuckoo_room_present_users gauge\ncuckoo_room_present_users\{room="Room"\} 1\n/);
+  assert.match(metrics, /cuckoo_room_work_minutes\{room="Room"\} 25\n/);
+  assert.match(metrics, /cuckoo_room_period_users\{room="Room",period="today"\} 0\n/);
+  assert.match(metrics, /cuckoo_leaderboard_generated_timestamp_seconds 1767614400\n/);
+  assert.ok(metrics.endsWith('# EOF\n'));
+});
+
+test('export writes every format from a generated leaderboard', (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cuckoo-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  fs.cpSync(path.join(FIXTURE, 'rooms'), path.join(dataDir, 'rooms'), { recursive: true });
+  const env = { PATH: process.env.PATH, CUCKOO_DATA_DIR: dataDir, CUCKOO_CONFIG: path.join(FIXTURE, 'cuckoo.config.json') };
+
+  execFileSync(process.execPath, [path.join(__dirname, '..', 'leaderboard.js'), '--now', '2026-01-06T15:00:00.000Z'], { env });
+  execFileSync(process.execPath, [path.join(__dirname, '..', 'export.js')], { env });
+
+  const outDir = path.join(dataDir, 'export');
+  const leaderboard = JSON.parse(fs.readFileSync(path.join(dataDir, 'leaderboard.json'), 'utf8'));
+  const rows = readCSV(path.join(outDir, 'leaderboard.csv')).filter(r => r.period === 'all');
+  assert.deepEqual(rows.map(r => [r.user, Number(r.pomodoros)]), leaderboard.users.map(u => [u.user, u.pomodoroCount]));
+
+  const sessions = readCSV(path.join(outDir, 'sessions.csv'));
+  assert.ok(sessions.length > 0 && sessions.every(s => s.join_time < s.leave_time));
+  assert.equal(fs.readdirSync(path.join(outDir, 'calendars')).length, leaderboard.users.length);
+  assert.ok(fs.existsSync(path.join(outDir, 'leaderboard.md')));
+  assert.match(fs.readFileSync(path.join(outDir, 'metrics.prom'), 'utf8'), /cuckoo_room_users\{room="SyntheticRoom"\} \d+/);
+});
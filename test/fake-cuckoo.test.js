@@ -0,0 +1,158 @@
+// Scraper to leaderboard against the local fake Cuckoo server
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { spawn, execFile, execFileSync } = require('child_process');
+const { startFakeCuckoo, loadScenario, formatTimeAgo } = require('../fake-cuckoo');
+const { readCSV } = require('../lib/csv');
+
+const ROOT = path.join(__dirname, '..');
+const ROOM = 'FakeRoom';
+
+// Seconds are short so the test runs quickly; the leaderboard is then run
+// half an hour later, when the 25 minute timer has ended
+const SCENARIO = {
+  rooms: {
+    [ROOM]: {
+      users: ['Ana'],
+      feed: [{ user: 'Ana', action: 'joined this cuckoo', ago: 300 }]
+    }
+  },
+  steps: [
+    { at: 0.2, join: 'Ben' },
+    { at: 0.4, join: 'Test' },
+    { at: 0.6, start: 'work', minutes: 25, by: 'Ana' },
+    { at: 1.0, leave: 'Ben' }
+  ]
+};
+
+function setUpDataDir(t) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cuckoo-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const config = path.join(dataDir, 'cuckoo.config.json');
+  fs.writeFileSync(config, JSON.stringify({ rooms: [ROOM], users: { ignore: ['Test'] } }));
+  return { dataDir, config };
+}
+
+function scraperEnv(server, { dataDir, config }) {
+  return {
+    PATH: process.env.PATH,
+    CUCKOO_BASE_URL: server.url,
+    CUCKOO_DATA_DIR: dataDir,
+    CUCKOO_CONFIG: config
+  };
+}
+
+async function waitFor(condition, timeoutMs = 10000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out');
+    await new Promise(r => setTimeout(r, 50));
+  }
+}
+
+function runLeaderboard(env, now) {
+  execFileSync(process.execPath, [path.join(ROOT, 'leaderboard.js'), '--now', now], { env, encoding: 'utf8' });
+  return JSON.parse(fs.readFileSync(path.join(env.CUCKOO_DATA_DIR, 'leaderboard.json'), 'utf8'));
+}
+
+test('feed times are worded like cuckoo.team', () => {
+  assert.equal(formatTimeAgo(2000), 'just now');
+  assert.equal(formatTimeAgo(35 * 1000), '35 sec ago');
+  assert.equal(formatTimeAgo(4 * 60 * 1000 + 59 * 1000), '4 min ago');
+  assert.equal(formatTimeAgo(90 * 60 * 1000), '1 hours ago');
+});
+
+test('the bundled scenario is valid', () => {
+  const scenario = loadScenario(path.join(ROOT, 'scenarios', 'basic.json'));
+  assert.ok(scenario.steps.length > 0);
+});
+
+test('room page has the avatars and feed the scraper reads', async (t) => {
+  const server = await startFakeCuckoo({ scenario: SCENARIO, log: () => {} });
+  t.after(() => server.close());
+
+  const html = await (await fetch(`${server.url}/${ROOM}`)).text();
+  assert.match(html, /class="team__list js-team__list">\s*<li[^>]*><img class="avatar__image" data-fullname="Ana"/);
+  assert.match(html, /class="activity js-activity">\s*<div class="activity__item">\s*<img class="avatar__image" data-fullname="Ana" alt="">\s*<div class="activity__info">joined this cuckoo<span class="activity__time">5 min ago<\/span>/);
+
+  const other = await (await fetch(`${server.url}/SomeOtherRoom`)).text();
+  assert.match(other, /js-team__list">\s*<\/ul>/);
+});
+
+test('listen mode records the scenario and the leaderboard counts it', async (t) => {
+  const server = await startFakeCuckoo({ scenario: SCENARIO, log: () => {} });
+  t.after(() => server.close());
+  const dirs = setUpDataDir(t);
+  const env = scraperEnv(server, dirs);
+
+  const listener = spawn(process.execPath, [path.join(ROOT, 'scraper.js'), '--listen'], { env, stdio: 'pipe' });
+  let output = '';
+  listener.stdout.on('data', chunk => { output += chunk; });
+  const exited = new Promise(resolve => listener.on('exit', resolve));
+  t.after(() => listener.kill('SIGKILL'));
+
+  await waitFor(() => server.rooms[ROOM].sockets.size > 0);
+  await server.play();
+  await waitFor(() => output.includes('Ben left'));
+  listener.kill('SIGTERM');
+  assert.equal(await exited, 0);
+
+  const roomDir = path.join(dirs.dataDir, 'rooms', ROOM);
+  const presence = readCSV(path.join(roomDir, 'presence.csv'));
+  assert.deepEqual(presence.map(row => row.users), ['Ana', 'Ana;Ben', 'Ana']);
+
+  const activities = readCSV(path.join(roomDir, 'activities.csv'));
+  assert.deepEqual(activities.map(row => `${row.user} ${row.action}`), ['Ben joined this cuckoo', 'Ben left this cuckoo']);
+
+  const snapshots = readCSV(path.join(roomDir, 'snapshots.csv'));
+  const running = snapshots.find(row => row.timer_running === 'true');
+  assert.equal(running.session_type, 'work');
+  assert.match(running.timer_value, /^2[45]:\d\d$/);
+
+  // Listen mode doesn't see the feed, so the timer comes from the countdown
+  const now = new Date(Date.parse(running.timestamp) + 30 * 60 * 1000).toISOString();
+  const leaderboard = runLeaderboard(env, now);
+  const pomodoros = Object.fromEntries(leaderboard.users.map(u => [u.user, u.pomodoroCount]));
+  assert.deepEqual(pomodoros, { Ana: 1, Ben: 0 });
+});
+
+// Needs a browser; npm ci skips the download on CI
+function browserAvailable() {
+  try {
+    return fs.existsSync(require('puppeteer').executablePath());
+  } catch {
+    return false;
+  }
+}
+
+test('scrape mode reads the page and feed', { skip: !browserAvailable() && 'no browser for puppeteer' }, async (t) => {
+  const server = await startFakeCuckoo({ scenario: SCENARIO, log: () => {} });
+  t.after(() => server.close());
+  await server.play();
+  const dirs = setUpDataDir(t);
+  const env = scraperEnv(server, dirs);
+
+  // The server runs in this process, so the scraper mustn't block it
+  await promisify(execFile)(process.execPath, [path.join(ROOT, 'scraper.js')], { env, timeout: 120000 });
+
+  const roomDir = path.join(dirs.dataDir, 'rooms', ROOM);
+  const presence = readCSV(path.join(roomDir, 'presence.csv'));
+  assert.deepEqual(presence.map(row => row.users), ['Ana']);
+
+  const activities = readCSV(path.join(roomDir, 'activities.csv'));
+  assert.deepEqual(activities.map(row => `${row.user} ${row.action}`).sort(), [
+    'Ana joined this cuckoo',
+    'Ana started a 25 minute work session',
+    'Ben joined this cuckoo',
+    'Test joined this cuckoo'
+  ]);
+
+  const snapshots = readCSV(path.join(roomDir, 'snapshots.csv'));
+  assert.equal(snapshots[0].timer_running, 'true');
+  assert.equal(snapshots[0].session_type, 'work');
+});
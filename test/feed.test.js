@@ -0,0 +1,70 @@
+// Activity feed grammar: typed events, time phrases and unknown actions
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFeedAction, parseTimeAgo, parseFeedEvents, collectUnknownActions } = require('../lib/feed');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test('every known feed message becomes a typed event', () => {
+  assert.deepEqual(parseFeedAction('joined this cuckoo'), { type: 'join' });
+  assert.deepEqual(parseFeedAction('left this cuckoo'), { type: 'leave' });
+  assert.deepEqual(parseFeedAction('started a 25 minute work session'), { type: 'start', session: 'work', duration: 25 });
+  assert.deepEqual(parseFeedAction('started a 5 minute break'), { type: 'start', session: 'break', duration: 5 });
+  assert.deepEqual(parseFeedAction('paused the current work session'), { type: 'pause', session: 'work' });
+  assert.deepEqual(parseFeedAction('resumed the current break'), { type: 'resume', session: 'break' });
+  assert.deepEqual(parseFeedAction('stopped the current break'), { type: 'stop', session: 'break' });
+  assert.deepEqual(parseFeedAction('restarted the current work session'), { type: 'restart', session: 'work' });
+  assert.deepEqual(parseFeedAction('skipped the break'), { type: 'skip', session: 'break' });
+  assert.deepEqual(parseFeedAction('created a 50 minutes work session to settings'), { type: 'settings', session: 'work', duration: 50 });
+  assert.deepEqual(parseFeedAction('created a 10 minute break to settings'), { type: 'settings', session: 'break', duration: 10 });
+});
+
+test('unknown feed messages are not guessed', () => {
+  assert.equal(parseFeedAction('started a 25 minute deep focus session'), null);
+  assert.equal(parseFeedAction('changed the room name'), null);
+  assert.equal(parseFeedAction(''), null);
+});
+
+test('time phrases with numbers, articles or none', () => {
+  assert.deepEqual(parseTimeAgo('35 sec ago'), { agoMs: 35 * 1000, precisionMs: 0 });
+  assert.deepEqual(parseTimeAgo('4 min ago'), { agoMs: 4 * 60 * 1000, precisionMs: 0 });
+  assert.deepEqual(parseTimeAgo('a minute ago'), { agoMs: 60 * 1000, precisionMs: 0 });
+  assert.deepEqual(parseTimeAgo('an hour ago'), { agoMs: HOUR_MS, precisionMs: HOUR_MS });
+  assert.deepEqual(parseTimeAgo('3 hours ago'), { agoMs: 3 * HOUR_MS, precisionMs: HOUR_MS });
+  assert.deepEqual(parseTimeAgo('a day ago'), { agoMs: 24 * HOUR_MS, precisionMs: 24 * HOUR_MS });
+  assert.deepEqual(parseTimeAgo('just now'), { agoMs: 0, precisionMs: 0 });
+  assert.deepEqual(parseTimeAgo('live'), { agoMs: 0, precisionMs: 0 });
+  assert.equal(parseTimeAgo('last week'), null);
+});
+
+const row = (user, action, timeAgo, scrapeTime = '2026-01-05T10:00:00.000Z') => ({
+  estimated_time: '2026-01-05T09:00:00.000Z',
+  scrape_time: scrapeTime,
+  user,
+  action,
+  time_ago_raw: timeAgo
+});
+
+test('feed events skip system users and carry hour-level uncertainty', () => {
+  const events = parseFeedEvents([
+    row('cuckoo', 'created this cuckoo', '2 hours ago'),
+    row('Ana', 'skipped the break', 'an hour ago'),
+    row('Ana', 'waved at everyone', '1 min ago')
+  ]);
+  assert.deepEqual(events.map(e => [e.type, e.user, e.uncertaintyMs]), [['skip', 'Ana', HOUR_MS]]);
+});
+
+test('unknown actions and time phrases are counted across runs', () => {
+  const first = collectUnknownActions([
+    row('Ana', 'waved at everyone', '1 min ago', '2026-01-05T10:00:00.000Z'),
+    row('Ben', 'joined this cuckoo', 'last week', '2026-01-05T10:00:00.000Z')
+  ]);
+  const second = collectUnknownActions([row('Ben', 'waved at everyone', '2 min ago', '2026-01-05T11:00:00.000Z')], first);
+
+  assert.deepEqual(second.actions, {
+    'waved at everyone': { count: 2, firstSeen: '2026-01-05T10:00:00.000Z', lastSeen: '2026-01-05T11:00:00.000Z' }
+  });
+  assert.deepEqual(Object.keys(second.timePhrases), ['last week']);
+  assert.equal(first.actions['waved at everyone'].count, 1);
+});
@@ -0,0 +1,109 @@
+// Golden-file tests: leaderboard.js run end to end on fixture rooms must
+// reproduce the checked-in leaderboard.json exactly.
+//
+// After an intended change in output, regenerate the expected files with
+//   UPDATE_GOLDEN=1 npm test
+// and review the diff.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { readCSV } = require('../lib/csv');
+
+const LEADERBOARD = path.join(__dirname, '..', 'leaderboard.js');
+const FIXTURES = path.join(__dirname, 'fixtures');
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+const CASES = [
+  // Hand-written scenario: grace period, feed join times, gap protection,
+  // aliases, countdown corrections, a duplicate feed row and a missed timer
+  { fixture: 'synthetic', now: '2026-01-06T15:00:00.000Z', splitAt: '2026-01-05T09:32:00.000Z' },
+  // First day of real scraped data
+  { fixture: 'recorded', now: '2026-01-23T00:00:00.000Z', splitAt: '2026-01-22T12:00:00.000Z' }
+];
+
+// Copy a fixture's rooms into a scratch data directory
+function setUpDataDir(t, fixture) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cuckoo-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  fs.cpSync(path.join(FIXTURES, fixture, 'rooms'), path.join(dataDir, 'rooms'), { recursive: true });
+  return dataDir;
+}
+
+// Cut every data file back to the rows scraped before `time`, returning the
+// full contents so they can be put back (fixture rows are one line each)
+function truncateData(dataDir, time) {
+  const saved = {};
+  for (const room of fs.readdirSync(path.join(dataDir, 'rooms'))) {
+    for (const [kind, column] of Object.entries({ activities: 'scrape_time', presence: 'timestamp', snapshots: 'timestamp' })) {
+      const file = path.join(dataDir, 'rooms', room, `${kind}.csv`);
+      const content = fs.readFileSync(file, 'utf8');
+      const keep = readCSV(file).filter(row => row[column] < time).length;
+      saved[file] = content;
+      fs.writeFileSync(file, content.split('\n').slice(0, keep + 1).join('\n') + '\n');
+    }
+  }
+  return saved;
+}
+
+// Run leaderboard.js on a data directory: its console output
+function runScript(fixture, dataDir, args) {
+  return execFileSync(process.execPath, [LEADERBOARD, ...args], {
+    env: {
+      PATH: process.env.PATH,
+      CUCKOO_DATA_DIR: dataDir,
+      CUCKOO_CONFIG: path.join(FIXTURES, fixture, 'cuckoo.config.json')
+    },
+    encoding: 'utf8'
+  });
+}
+
+// Run leaderboard.js on a data directory: its console output and leaderboard.json
+function runLeaderboard(fixture, dataDir, args) {
+  const output = runScript(fixture, dataDir, args);
+  return { output, leaderboard: JSON.parse(fs.readFileSync(path.join(dataDir, 'leaderboard.json'), 'utf8')) };
+}
+
+for (const { fixture, now, splitAt } of CASES) {
+  test(`${fixture}: leaderboard.json matches the expected output`, (t) => {
+    const dataDir = setUpDataDir(t, fixture);
+    const { leaderboard } = runLeaderboard(fixture, dataDir, ['--now', now]);
+
+    const expectedPath = path.join(FIXTURES, fixture, 'expected-leaderboard.json');
+    if (UPDATE) {
+      fs.writeFileSync(expectedPath, JSON.stringify(leaderboard, null, 2) + '\n');
+    }
+    assert.deepEqual(leaderboard, JSON.parse(fs.readFileSync(expectedPath, 'utf8')));
+  });
+
+  test(`${fixture}: incremental run over appended data matches a full rebuild`, (t) => {
+    const dataDir = setUpDataDir(t, fixture);
+    const full = runLeaderboard(fixture, dataDir, ['--now', now]).leaderboard;
+    fs.rmSync(path.join(dataDir, 'rooms'), { recursive: true });
+    fs.cpSync(path.join(FIXTURES, fixture, 'rooms'), path.join(dataDir, 'rooms'), { recursive: true });
+
+    const saved = truncateData(dataDir, splitAt);
+    runLeaderboard(fixture, dataDir, ['--now', now, '--incremental']);
+    for (const [file, content] of Object.entries(saved)) fs.writeFileSync(file, content);
+    const { output, leaderboard } = runLeaderboard(fixture, dataDir, ['--now', now, '--incremental']);
+
+    assert.doesNotMatch(output, /full rebuild/);
+    assert.deepEqual(leaderboard, full);
+  });
+
+  test(`${fixture}: leaderboard as of a past time matches one built from the data recorded by then`, (t) => {
+    const dataDir = setUpDataDir(t, fixture);
+    runScript(fixture, dataDir, ['--as-of', splitAt]);
+    const stamp = `${splitAt.slice(0, 19).replace(/:/g, '-')}Z`;
+    const asOf = JSON.parse(fs.readFileSync(path.join(dataDir, 'as-of', `${stamp}.json`), 'utf8'));
+    assert.ok(!fs.existsSync(path.join(dataDir, 'leaderboard.json')));
+
+    truncateData(dataDir, splitAt);
+    const { leaderboard } = runLeaderboard(fixture, dataDir, ['--now', splitAt]);
+    // Profile pages are only written for the current leaderboard
+    assert.deepEqual(asOf, { ...leaderboard, users: leaderboard.users.map(({ profile, ...u }) => u) });
+  });
+}
@@ -0,0 +1,49 @@
+// Rank history: daily standings, rank movement and per-user history
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRankHistory, readRankHistory, recordRanks, previousRanks, userRankHistory, writeRankHistory } = require('../lib/history');
+
+const user = (name, presence) => ({ user: name, totalPresenceMinutes: presence, totalWorkMinutes: presence / 2, pomodoroCount: 1 });
+
+test('each day keeps the standings of its last run', () => {
+  let history = createRankHistory('presence');
+  history = recordRanks(history, '2026-01-05', [user('Ana', 60)]);
+  history = recordRanks(history, '2026-01-05', [user('Ana', 90.4), user('Ben', 30)]);
+  assert.deepEqual(history.days, { '2026-01-05': { Ana: [1, 90, 45, 1], Ben: [2, 30, 15, 1] } });
+});
+
+test('a day with the same standings as the day before is left out', () => {
+  let history = recordRanks(createRankHistory('presence'), '2026-01-05', [user('Ana', 60)]);
+  history = recordRanks(history, '2026-01-06', [user('Ana', 60)]);
+  assert.deepEqual(Object.keys(history.days), ['2026-01-05']);
+});
+
+test('rank movement compares with the last recorded day before today', () => {
+  let history = recordRanks(createRankHistory('presence'), '2026-01-05', [user('Ana', 60), user('Ben', 30)]);
+  history = recordRanks(history, '2026-01-07', [user('Ben', 120), user('Ana', 60), user('Cy', 10)]);
+
+  assert.equal(previousRanks(history, '2026-01-05'), null);
+  assert.deepEqual(previousRanks(history, '2026-01-07'), { day: '2026-01-05', ranks: { Ana: 1, Ben: 2 } });
+  assert.deepEqual(userRankHistory(history, 'Ben').map(h => [h.day, h.rank, h.totalPresenceMinutes]),
+    [['2026-01-05', 2, 30], ['2026-01-07', 1, 120]]);
+});
+
+test('a truncated or differently ranked history file starts a new history', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cuckoo-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'rank_history.json');
+  const history = recordRanks(createRankHistory('presence'), '2026-01-05', [user('Ana', 60)]);
+
+  writeRankHistory(file, history);
+  assert.deepEqual(readRankHistory(file, 'presence'), history);
+  assert.deepEqual(readRankHistory(file, 'work'), createRankHistory('work'));
+
+  fs.writeFileSync(file, JSON.stringify(history).slice(0, 20));
+  const logged = [];
+  assert.deepEqual(readRankHistory(file, 'presence', message => logged.push(message)), createRankHistory('presence'));
+  assert.match(logged[0], /unreadable/);
+});
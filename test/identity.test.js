@@ -0,0 +1,77 @@
+// User identity: alias resolution, config validation and alias suggestions
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getIdentityConfig } = require('../lib/config');
+const { createNameResolver } = require('../lib/identity');
+const { nameSimilarity, collectSightings, suggestAliases, toAliasConfig } = require('../aliases');
+
+const identity = getIdentityConfig({
+  users: { aliases: { Angelina: ['angie', ' Angie ', 'ANGEL'] }, ignore: ['test1'] }
+});
+
+test('config aliases are trimmed, deduplicated and sorted', () => {
+  assert.deepEqual(identity, { aliases: { Angelina: ['ANGEL', 'Angie', 'angie'] }, ignore: ['test1'] });
+});
+
+test('names resolve to their canonical name in any case, unknown names are kept', () => {
+  const names = createNameResolver(identity);
+  assert.equal(names.resolve('angie'), 'Angelina');
+  assert.equal(names.resolve('Angel'), 'Angelina');
+  assert.equal(names.resolve('angelina'), 'Angelina');
+  assert.equal(names.resolve('Ben'), 'Ben');
+  assert.equal(names.resolve('TEST1'), null);
+  assert.deepEqual(names.resolveNames(['angie', 'Angelina', 'test1', 'Ben']), ['Angelina', 'Ben']);
+});
+
+test('presence and activity records get resolved names and counts', () => {
+  const names = createNameResolver(identity);
+  assert.deepEqual(names.resolveRecords('presence', [{ timestamp: 't', user_count: '3', users: 'angie;Angelina;test1' }]),
+    [{ timestamp: 't', user_count: '1', users: 'Angelina' }]);
+  // Ignored names keep their feed rows: timers they start still count for others
+  assert.deepEqual(names.resolveRecords('activities', [{ user: 'ANGEL' }, { user: 'test1' }]), [{ user: 'Angelina' }, { user: 'test1' }]);
+});
+
+test('a name can only belong to one person, and not be ignored too', () => {
+  assert.throws(() => getIdentityConfig({ users: { aliases: { Ana: ['an'], Anna: ['AN'] } } }), /"AN" is listed under both "Ana" and "Anna"/);
+  assert.throws(() => getIdentityConfig({ users: { aliases: { Ana: ['an'] }, ignore: ['AN'] } }), /"AN" is both aliased and ignored/);
+  assert.throws(() => getIdentityConfig({ users: { aliases: { Ana: 'an' } } }), /must be a list of names/);
+});
+
+test('name similarity: case, prefixes and small edits', () => {
+  assert.equal(nameSimilarity('Ben', 'ben'), 1);
+  assert.ok(nameSimilarity('angie', 'angelina') >= 0.6);
+  assert.ok(nameSimilarity('Jess', 'Tess') >= 0.6);
+  assert.ok(nameSimilarity('Ana', 'Cy') < 0.6);
+});
+
+// Storage stub serving one room's presence snapshots
+const storageOf = (snapshots) => ({
+  read: () => snapshots.map(([timestamp, users]) => ({ timestamp, user_count: String(users.length), users: users.join(';') }))
+});
+
+test('duplicates are suggested only for names never online together', () => {
+  const names = collectSightings(storageOf([
+    ['2026-01-05T09:00:00.000Z', ['angie', 'Ben']],
+    ['2026-01-05T09:05:00.000Z', ['angie', 'Ben']],
+    ['2026-01-06T09:00:00.000Z', ['Angelina', 'ben2', 'Bent']],
+    ['2026-01-06T09:05:00.000Z', ['Angelina', 'Bent']]
+  ]), [{ id: 'Room' }], createNameResolver({ aliases: {}, ignore: [] }));
+
+  const suggestions = suggestAliases(names, 0.6);
+  assert.deepEqual(suggestions.map(s => [s.alias, s.canonical]).filter(([alias]) => alias === 'angie'), [['angie', 'Angelina']]);
+  assert.ok(suggestions.find(s => s.alias === 'angie').reasons.includes('seen in separate periods'));
+  // ben2 and Bent were in the room together
+  assert.ok(!suggestions.some(s => [s.alias, s.canonical].sort().join() === 'Bent,ben2'));
+});
+
+test('suggestions fold into config aliases without chains or moving configured names', () => {
+  const resolver = createNameResolver({ aliases: { Jessica: ['jess'] }, ignore: [] });
+  const aliases = toAliasConfig([
+    { canonical: 'Angelina', alias: 'angie' },
+    { canonical: 'Jessica', alias: 'Jessie' },
+    { canonical: 'Jessie', alias: 'Tess' },
+    { canonical: 'Ana', alias: 'Jessica' }
+  ], resolver);
+  assert.deepEqual(aliases, { Angelina: ['angie'], Jessica: ['Jessie', 'jess'] });
+});
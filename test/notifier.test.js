@@ -0,0 +1,135 @@
+// Webhook notifications: what counts as an event, and delivery to a local receiver
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { detectEvents, formatMessage, sendNotifications } = require('../lib/notifier');
+const { getNotificationConfig } = require('../lib/config');
+
+const SETTINGS = { webhooks: [], workTimerMinPeople: 2, milestones: [10, 25], messages: {} };
+
+function board({ generated = '2026-01-05T10:00:00.000Z', present = [], log = [], users = [], week = [] } = {}) {
+  return {
+    generated,
+    rooms: [{ id: 'Room', name: 'The Room', currentlyPresent: present }],
+    activityLog: log,
+    users: users.map(([user, pomodoroCount]) => ({ user, pomodoroCount })),
+    periods: { week: { label: '2026-W02', users: week.map(user => ({ user })) } }
+  };
+}
+
+const timer = (time, participants) => ({ time, type: 'work', duration: 25, room: 'Room', participants });
+
+test('nothing is sent on the first run', () => {
+  assert.deepEqual(detectEvents(null, board({ present: ['Ana'] }), SETTINGS), []);
+});
+
+test('someone joining an empty room is an event, more people joining is not', () => {
+  const events = detectEvents(board(), board({ present: ['Ana'] }), SETTINGS);
+  assert.deepEqual(events.map(e => [e.type, e.roomName, e.users]), [['room-occupied', 'The Room', ['Ana']]]);
+  assert.deepEqual(detectEvents(board({ present: ['Ana'] }), board({ present: ['Ana', 'Ben'] }), SETTINGS), []);
+});
+
+test('new work timers with enough people are events', () => {
+  const previous = board({ log: [timer('2026-01-05T09:30:00.000Z', ['Ana', 'Ben'])] });
+  const current = board({
+    generated: '2026-01-05T10:30:00.000Z',
+    log: [
+      timer('2026-01-05T10:05:00.000Z', ['Ana', 'Ben', 'Cy']),
+      timer('2026-01-05T10:01:00.000Z', ['Ana']),
+      // The earlier timer, its start corrected since the previous run
+      timer('2026-01-05T09:33:00.000Z', ['Ana', 'Ben'])
+    ]
+  });
+
+  const events = detectEvents(previous, current, SETTINGS);
+  assert.deepEqual(events.map(e => [e.type, e.time, e.count]), [['work-started', '2026-01-05T10:05:00.000Z', 3]]);
+});
+
+test('old timers found late are not events', () => {
+  const current = board({ generated: '2026-01-05T12:00:00.000Z', log: [timer('2026-01-05T09:00:00.000Z', ['Ana', 'Ben'])] });
+  assert.deepEqual(detectEvents(board({ generated: '2026-01-05T11:30:00.000Z' }), current, SETTINGS), []);
+});
+
+test('passing a milestone is an event, once', () => {
+  const events = detectEvents(board({ users: [['Ana', 9], ['Ben', 24]] }), board({ users: [['Ana', 26], ['Ben', 24]] }), SETTINGS);
+  assert.deepEqual(events.map(e => [e.type, e.user, e.milestone]), [['milestone', 'Ana', 25]]);
+});
+
+test('a new weekly leader is an event within the same week only', () => {
+  const events = detectEvents(board({ week: ['Ana', 'Ben'] }), board({ week: ['Ben', 'Ana'] }), SETTINGS);
+  assert.deepEqual(events.map(e => [e.type, e.user, e.previous]), [['weekly-leader', 'Ben', 'Ana']]);
+
+  const nextWeek = board({ week: ['Ben'] });
+  nextWeek.periods.week.label = '2026-W03';
+  assert.deepEqual(detectEvents(board({ week: ['Ana'] }), nextWeek, SETTINGS), []);
+});
+
+test('webhook formats are guessed from the URL and events are checked', () => {
+  const { webhooks } = getNotificationConfig({
+    notifications: { webhooks: ['https://discord.com/api/webhooks/1/abc', { url: 'https://example.com/hook', events: ['milestone'] }] }
+  });
+  assert.deepEqual(webhooks.map(w => [w.format, w.events.length]), [['discord', 4], ['json', 1]]);
+  assert.throws(() => getNotificationConfig({ notifications: { webhooks: [{ url: 'https://example.com', events: ['joined'] }] } }),
+    /Unknown notification event: "joined"/);
+});
+
+test('people and milestone settings must be numbers', () => {
+  const settings = getNotificationConfig({ notifications: { workTimerMinPeople: 3, milestones: [50, 5] } });
+  assert.deepEqual([settings.workTimerMinPeople, settings.milestones], [3, [5, 50]]);
+  assert.throws(() => getNotificationConfig({ notifications: { workTimerMinPeople: '2' } }), /Invalid notifications.workTimerMinPeople: "2"/);
+  assert.throws(() => getNotificationConfig({ notifications: { workTimerMinPeople: -1 } }), /Invalid notifications.workTimerMinPeople: -1/);
+  assert.throws(() => getNotificationConfig({ notifications: { milestones: 10 } }), /Invalid notifications.milestones: 10/);
+  assert.throws(() => getNotificationConfig({ notifications: { milestones: [10, 'many'] } }), /Invalid notifications.milestones\[1\]: "many"/);
+});
+
+test('messages use the configured template', () => {
+  const event = { type: 'milestone', user: 'Ana', milestone: 25 };
+  assert.equal(formatMessage(event, SETTINGS), 'Ana just reached 25 pomodoros!');
+  assert.equal(formatMessage(event, { ...SETTINGS, messages: { milestone: ':tomato: {user} x{milestone} {unknown}' } }), ':tomato: Ana x25 {unknown}');
+});
+
+// Local webhook receiver: records request bodies by path, /fail always answers 500
+async function startReceiver(t) {
+  const received = {};
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      (received[req.url] = received[req.url] || []).push(JSON.parse(body));
+      res.writeHead(req.url === '/fail' ? 500 : 204);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}`, received };
+}
+
+test('events are posted to each subscribed webhook in its format', async (t) => {
+  const { url, received } = await startReceiver(t);
+  const settings = {
+    ...SETTINGS,
+    webhooks: [
+      { url: `${url}/discord`, format: 'discord', events: ['milestone', 'room-occupied'] },
+      { url: `${url}/json`, format: 'json', events: ['room-occupied'] },
+      { url: `${url}/fail`, format: 'slack', events: ['milestone'] }
+    ]
+  };
+  const events = [
+    { type: 'room-occupied', room: 'Room', roomName: 'The Room', users: ['Ana'] },
+    { type: 'milestone', user: 'Ana', milestone: 10 }
+  ];
+
+  const logged = [];
+  const result = await sendNotifications(events, settings, message => logged.push(message));
+
+  assert.deepEqual(result, { sent: 3, failed: 1 });
+  assert.deepEqual(received['/discord'], [
+    { content: 'Ana joined The Room - come co-work!' },
+    { content: 'Ana just reached 10 pomodoros!' }
+  ]);
+  assert.deepEqual(received['/json'], [{ text: 'Ana joined The Room - come co-work!', event: events[0] }]);
+  assert.deepEqual(received['/fail'], [{ text: 'Ana just reached 10 pomodoros!' }]);
+  assert.match(logged[0], /failed for milestone: HTTP 500/);
+});
@@ -0,0 +1,168 @@
+// Presence windows and timer attribution rules from the leaderboard.js header
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  buildPresenceWindows,
+  eligibleForTimerCount,
+  calculateOverlap,
+  attributeTimer,
+  calculateUserStats
+} = require('../leaderboard');
+
+const at = (time) => new Date(`2026-01-05T${time}Z`);
+const snapshot = (time, users) => ({ timestamp: at(time).toISOString(), user_count: String(users.length), users: users.join(';') });
+const NOW = at('12:00:00');
+
+test('first snapshot: user joined at the snapshot', () => {
+  const windows = buildPresenceWindows([snapshot('09:00:00', ['Ana'])], {}, NOW);
+  assert.deepEqual(windows.Ana[0].joinTime, at('09:00:00'));
+});
+
+test('no join event: assume joined right after the previous snapshot', () => {
+  const windows = buildPresenceWindows([
+    snapshot('09:00:00', []),
+    snapshot('09:05:00', ['Ana'])
+  ], {}, NOW);
+  assert.deepEqual(windows.Ana[0].joinTime, at('09:00:01'));
+});
+
+test('join event from the feed gives the precise join time', () => {
+  const windows = buildPresenceWindows([
+    snapshot('09:00:00', []),
+    snapshot('09:05:00', ['Ana'])
+  ], { Ana: [at('09:03:00')] }, NOW);
+  assert.deepEqual(windows.Ana[0].joinTime, at('09:03:00'));
+});
+
+test('join events outside the snapshot interval are ignored', () => {
+  const windows = buildPresenceWindows([
+    snapshot('09:00:00', []),
+    snapshot('09:05:00', ['Ana'])
+  ], { Ana: [at('08:50:00')] }, NOW);
+  assert.deepEqual(windows.Ana[0].joinTime, at('09:00:01'));
+});
+
+test('leave time is just before the snapshot the user disappeared from', () => {
+  const windows = buildPresenceWindows([
+    snapshot('09:00:00', ['Ana']),
+    snapshot('09:05:00', ['Ana']),
+    snapshot('09:10:00', [])
+  ], {}, NOW);
+  assert.equal(windows.Ana.length, 1);
+  assert.deepEqual(windows.Ana[0].leaveTime, at('09:09:59'));
+});
+
+test('gap protection: after a gap over 30 min, presence starts 30 min before the snapshot', () => {
+  const windows = buildPresenceWindows([
+    snapshot('09:00:00', []),
+    snapshot('10:00:00', ['Ana'])
+  ], {}, NOW);
+  assert.deepEqual(windows.Ana[0].joinTime, at('09:30:00'));
+});
+
+test('a gap of exactly 30 min still assumes the generous join', () => {
+  const windows = buildPresenceWindows([
+    snapshot('09:00:00', []),
+    snapshot('09:30:00', ['Ana'])
+  ], {}, NOW);
+  assert.deepEqual(windows.Ana[0].joinTime, at('09:00:01'));
+});
+
+test('users still present are closed at now and flagged', () => {
+  const windows = buildPresenceWindows([snapshot('09:00:00', ['Ana'])], {}, NOW);
+  assert.deepEqual(windows.Ana[0].leaveTime, NOW);
+  assert.equal(windows.Ana[0].stillPresent, true);
+});
+
+test('leaving and coming back makes a second window', () => {
+  const windows = buildPresenceWindows([
+    snapshot('09:00:00', ['Ana']),
+    snapshot('09:05:00', []),
+    snapshot('09:10:00', ['Ana']),
+    snapshot('09:15:00', [])
+  ], {}, NOW);
+  assert.equal(windows.Ana.length, 2);
+  assert.deepEqual(windows.Ana[1].joinTime, at('09:05:01'));
+});
+
+test('the conservative bound runs from the first to the last snapshot showing the user', () => {
+  const windows = buildPresenceWindows([
+    snapshot('09:00:00', []),
+    snapshot('09:05:00', ['Ana']),
+    snapshot('09:10:00', ['Ana']),
+    snapshot('09:15:00', [])
+  ], {}, NOW);
+  assert.deepEqual([windows.Ana[0].confirmedJoinTime, windows.Ana[0].confirmedLeaveTime], [at('09:05:00'), at('09:10:00')]);
+
+  const stats = calculateUserStats(windows, []);
+  assert.equal(Math.round(stats.Ana.totalPresenceMinutes), 15);
+  assert.equal(stats.Ana.conservativePresenceMinutes, 5);
+});
+
+test('a feed join confirms presence from the join, a still-present user up to the last snapshot', () => {
+  const windows = buildPresenceWindows([
+    snapshot('09:00:00', []),
+    snapshot('09:05:00', ['Ana']),
+    snapshot('09:10:00', ['Ana'])
+  ], { Ana: [at('09:03:00')] }, NOW);
+  assert.deepEqual([windows.Ana[0].confirmedJoinTime, windows.Ana[0].confirmedLeaveTime], [at('09:03:00'), at('09:10:00')]);
+  assert.deepEqual(windows.Ana[0].leaveTime, NOW);
+});
+
+const userWindows = {
+  Ana: [{ joinTime: at('09:00:00'), leaveTime: at('10:00:00') }],
+  Ben: [{ joinTime: at('09:14:00'), leaveTime: at('10:00:00') }],
+  Cy: [{ joinTime: at('09:15:01'), leaveTime: at('10:00:00') }],
+  Dee: [
+    { joinTime: at('08:00:00'), leaveTime: at('09:09:00') },
+    { joinTime: at('09:20:00'), leaveTime: at('09:25:00') }
+  ]
+};
+
+test('present at timer start: counted', () => {
+  assert.equal(eligibleForTimerCount(userWindows, 'Ana', at('09:10:00')), true);
+});
+
+test('joined within the 5 min grace period: counted', () => {
+  assert.equal(eligibleForTimerCount(userWindows, 'Ben', at('09:10:00')), true);
+  assert.equal(eligibleForTimerCount(userWindows, 'Ben', at('09:09:00')), true);
+});
+
+test('joined after the grace period: not counted', () => {
+  assert.equal(eligibleForTimerCount(userWindows, 'Cy', at('09:10:00')), false);
+});
+
+test('left before the timer started: not counted', () => {
+  assert.equal(eligibleForTimerCount(userWindows, 'Dee', at('09:10:00')), false);
+  assert.equal(eligibleForTimerCount(userWindows, 'Nobody', at('09:10:00')), false);
+});
+
+test('overlap is the time present while the timer ran', () => {
+  assert.equal(calculateOverlap(userWindows, 'Ana', at('09:10:00'), at('09:35:00')), 25);
+  assert.equal(calculateOverlap(userWindows, 'Cy', at('09:10:00'), at('09:35:00')), 19 + 59 / 60);
+});
+
+test('overlap adds up every window', () => {
+  assert.equal(calculateOverlap(userWindows, 'Dee', at('09:00:00'), at('09:25:00')), 14);
+  assert.equal(calculateOverlap(userWindows, 'Dee', at('09:10:00'), at('09:15:00')), 0);
+});
+
+test('attribution: count by eligibility, minutes by overlap', () => {
+  const { counted, overlapMinutes } = attributeTimer(userWindows, {
+    startTime: at('09:10:00'),
+    endTime: at('09:35:00')
+  });
+  assert.deepEqual(counted.sort(), ['Ana', 'Ben']);
+  assert.deepEqual(Object.keys(overlapMinutes).sort(), ['Ana', 'Ben', 'Cy', 'Dee']);
+});
+
+test('attribution: timers clipped to a period only count if they started in it', () => {
+  const { counted, overlapMinutes } = attributeTimer(userWindows, {
+    startTime: at('09:10:00'),
+    endTime: at('09:35:00'),
+    countable: false
+  });
+  assert.deepEqual(counted, []);
+  assert.equal(overlapMinutes.Ana, 25);
+});
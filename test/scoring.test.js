@@ -0,0 +1,102 @@
+// Scoring rules: config validation, points, and a leaderboard built with custom rules
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { getScoringConfig, DEFAULT_SCORING } = require('../lib/config');
+const { calculateUserStats, calculatePoints, rankingValue, calculateStreaks } = require('../leaderboard');
+
+const at = (time) => new Date(`2026-01-05T${time}Z`);
+const FIXTURE = path.join(__dirname, 'fixtures', 'synthetic');
+
+test('missing scoring settings fall back to the defaults', () => {
+  assert.deepEqual(getScoringConfig({}), DEFAULT_SCORING);
+  const scoring = getScoringConfig({ scoring: { rankBy: 'work', points: { pomodoro: 3 } } });
+  assert.equal(scoring.rankBy, 'work');
+  assert.equal(scoring.gracePeriodMinutes, 5);
+  assert.deepEqual(scoring.points, { ...DEFAULT_SCORING.points, pomodoro: 3 });
+});
+
+test('invalid scoring settings are rejected', () => {
+  assert.throws(() => getScoringConfig({ scoring: { rankBy: 'streak' } }), /Unknown ranking metric: "streak"/);
+  assert.throws(() => getScoringConfig({ scoring: { gracePeriodMinutes: -1 } }), /Invalid scoring.gracePeriodMinutes/);
+  assert.throws(() => getScoringConfig({ scoring: { maxGapMinutes: '30' } }), /Invalid scoring.maxGapMinutes/);
+  assert.throws(() => getScoringConfig({ scoring: { points: { bonus: 1 } } }), /Unknown scoring.points.bonus/);
+});
+
+test('timers started and full sessions are counted per user', () => {
+  const userWindows = {
+    Ana: [{ joinTime: at('09:00:00'), leaveTime: at('10:00:00') }],
+    Ben: [{ joinTime: at('09:12:00'), leaveTime: at('10:00:00') }]
+  };
+  const stats = calculateUserStats(userWindows, [
+    { type: 'work', startTime: at('09:10:00'), endTime: at('09:35:00'), startedBy: 'Ana' },
+    { type: 'break', startTime: at('09:35:00'), endTime: at('09:40:00'), startedBy: 'Ben' },
+    { type: 'work', startTime: at('09:40:00'), endTime: at('10:05:00'), startedBy: null }
+  ]);
+
+  assert.deepEqual([stats.Ana.timersStarted, stats.Ana.fullSessions], [1, 1]);
+  // Joined 2 min late to the first pomodoro, and everyone left before the second ended
+  assert.deepEqual([stats.Ben.timersStarted, stats.Ben.pomodoroCount, stats.Ben.fullSessions], [1, 2, 0]);
+});
+
+test('points are the weighted sum of a user\'s stats', () => {
+  const stats = { pomodoroCount: 4, totalWorkMinutes: 90, totalPresenceMinutes: 150, timersStarted: 2, fullSessions: 3 };
+  const weights = { pomodoro: 10, workHour: 1, presenceHour: 2, timerStarted: 2, fullSession: 5 };
+  assert.equal(calculatePoints(stats, weights), 40 + 1.5 + 5 + 4 + 15);
+});
+
+test('ranking value follows the metric', () => {
+  const u = { totalPresenceMinutes: 120, totalWorkMinutes: 50, pomodoroCount: 2, points: 31.5 };
+  assert.equal(rankingValue(u, 'presence'), 120);
+  assert.equal(rankingValue(u, 'work'), 50);
+  assert.equal(rankingValue(u, 'pomodoros'), 2);
+  assert.equal(rankingValue(u, 'points'), 31.5);
+});
+
+// Days with at least one pomodoro, as calculateUserStats records them
+const pomodoroDays = (...days) => Object.fromEntries(days.map(day => [day, 1]));
+
+test('the current streak survives a day without pomodoros, but not two', () => {
+  const days = pomodoroDays('2026-01-01', '2026-01-02', '2026-01-03', '2026-01-05', '2026-01-06');
+  const yesterday = calculateStreaks(days, new Date('2026-01-07T12:00:00.000Z'));
+  assert.deepEqual([yesterday.currentStreak, yesterday.longestStreak, yesterday.activeDays], [2, 3, 5]);
+  assert.equal(calculateStreaks(days, new Date('2026-01-06T23:59:00.000Z')).currentStreak, 2);
+  assert.equal(calculateStreaks(days, new Date('2026-01-08T00:00:00.000Z')).currentStreak, 0);
+});
+
+test('active days per week and consistency count from the first active week', () => {
+  const everyWeek = calculateStreaks(pomodoroDays('2026-01-01', '2026-01-02', '2026-01-03', '2026-01-05', '2026-01-06'),
+    new Date('2026-01-07T12:00:00.000Z'));
+  assert.deepEqual([everyWeek.activeDaysPerWeek, everyWeek.consistencyScore], [5, 100]);
+
+  // Active in 2 of the 4 weeks from 2025-12-29 to 2026-01-25, over 20 days
+  const gaps = calculateStreaks(pomodoroDays('2026-01-01', '2026-01-20'), new Date('2026-01-20T12:00:00.000Z'));
+  assert.deepEqual([gaps.currentStreak, gaps.longestStreak, gaps.activeDaysPerWeek, gaps.consistencyScore], [1, 1, 0.7, 50]);
+
+  assert.deepEqual(calculateStreaks({}, new Date('2026-01-20T12:00:00.000Z')),
+    { currentStreak: 0, longestStreak: 0, activeDays: 0, activeDaysPerWeek: 0, consistencyScore: 0 });
+});
+
+test('leaderboard.json is built with and echoes the configured rules', (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cuckoo-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  fs.cpSync(path.join(FIXTURE, 'rooms'), path.join(dataDir, 'rooms'), { recursive: true });
+
+  const config = JSON.parse(fs.readFileSync(path.join(FIXTURE, 'cuckoo.config.json'), 'utf8'));
+  config.scoring = { rankBy: 'points', gracePeriodMinutes: 0, points: { pomodoro: 1, presenceHour: 0, timerStarted: 0, fullSession: 0 } };
+  fs.writeFileSync(path.join(dataDir, 'cuckoo.config.json'), JSON.stringify(config));
+
+  execFileSync(process.execPath, [path.join(__dirname, '..', 'leaderboard.js'), '--now', '2026-01-06T15:00:00.000Z'], {
+    env: { PATH: process.env.PATH, CUCKOO_DATA_DIR: dataDir, CUCKOO_CONFIG: path.join(dataDir, 'cuckoo.config.json') }
+  });
+  const leaderboard = JSON.parse(fs.readFileSync(path.join(dataDir, 'leaderboard.json'), 'utf8'));
+
+  assert.deepEqual(leaderboard.scoring, getScoringConfig(config));
+  // Ben joined the first pomodoro just after it started: counted with the default grace period, not without one
+  assert.deepEqual(leaderboard.users.map(u => [u.user, u.pomodoroCount, u.points]), [['Ana', 3, 3], ['Ben', 1, 1], ['Cy', 0, 0]]);
+  assert.deepEqual(leaderboard.periods.week.users.map(u => u.points), [3, 1, 0]);
+});
@@ -0,0 +1,44 @@
+// Feed time parsing and deduplication keys
+
+process.env.TZ = 'UTC';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { roundForDedup, parseTimeAgoMs } = require('../scraper');
+
+test('time ago strings parse to milliseconds', () => {
+  assert.equal(parseTimeAgoMs('35 sec ago'), 35 * 1000);
+  assert.equal(parseTimeAgoMs('4 min ago'), 4 * 60 * 1000);
+  assert.equal(parseTimeAgoMs('1 hours ago'), 60 * 60 * 1000);
+  assert.equal(parseTimeAgoMs('2 days ago'), 2 * 24 * 60 * 60 * 1000);
+});
+
+test('article time phrases parse like numbers', () => {
+  assert.equal(parseTimeAgoMs('a minute ago'), 60 * 1000);
+  assert.equal(parseTimeAgoMs('an hour ago'), 60 * 60 * 1000);
+  assert.equal(roundForDedup('2026-01-05T09:31:00.000Z', 'an hour ago'), '2026-01-05T09:00:00.000Z');
+});
+
+test('unparseable time ago strings count as now', () => {
+  assert.equal(parseTimeAgoMs('just now'), 0);
+  assert.equal(parseTimeAgoMs(''), 0);
+  assert.equal(parseTimeAgoMs(undefined), 0);
+});
+
+test('minute-precise times round down to the half hour', () => {
+  assert.equal(roundForDedup('2026-01-05T09:29:00.000Z', '4 min ago'), '2026-01-05T09:00:00.000Z');
+  assert.equal(roundForDedup('2026-01-05T09:31:00.000Z', '4 min ago'), '2026-01-05T09:30:00.000Z');
+});
+
+test('hour and day precise times round down to the hour', () => {
+  assert.equal(roundForDedup('2026-01-05T09:31:00.000Z', '1 hours ago'), '2026-01-05T09:00:00.000Z');
+  assert.equal(roundForDedup('2026-01-05T09:59:00.000Z', '2 days ago'), '2026-01-05T09:00:00.000Z');
+});
+
+test('the same event seen by two scrapes gets the same key', () => {
+  // 09:06 seen as "4 min ago" at 09:10 and as "22 min ago" at 09:28
+  assert.equal(
+    roundForDedup('2026-01-05T09:06:00.000Z', '4 min ago'),
+    roundForDedup('2026-01-05T09:06:00.000Z', '22 min ago')
+  );
+});
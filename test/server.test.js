@@ -0,0 +1,129 @@
+// Read-only HTTP API: endpoints over a generated leaderboard, and live events
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'synthetic');
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cuckoo-test-'));
+fs.cpSync(path.join(FIXTURE, 'rooms'), path.join(dataDir, 'rooms'), { recursive: true });
+// The server reads its data directory and config when it's loaded
+process.env.CUCKOO_DATA_DIR = dataDir;
+process.env.CUCKOO_CONFIG = path.join(FIXTURE, 'cuckoo.config.json');
+
+const { startServer, createDataWatcher } = require('../server');
+
+execFileSync(process.execPath, [path.join(__dirname, '..', 'leaderboard.js'), '--now', '2026-01-06T15:00:00.000Z'], {
+  env: { PATH: process.env.PATH, CUCKOO_DATA_DIR: dataDir, CUCKOO_CONFIG: process.env.CUCKOO_CONFIG }
+});
+const leaderboard = JSON.parse(fs.readFileSync(path.join(dataDir, 'leaderboard.json'), 'utf8'));
+
+let server;
+test.before(async () => {
+  server = await startServer({ pollMs: 60 * 1000, log: () => {} });
+});
+test.after(async () => {
+  await server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const get = async (route) => {
+  const res = await fetch(server.url + route);
+  return { status: res.status, body: await res.json() };
+};
+
+test('leaderboard ranks by the board metric or another one', async () => {
+  const { body } = await get('/api/leaderboard');
+  assert.equal(body.metric, leaderboard.scoring.rankBy);
+  assert.deepEqual(body.users.map(u => [u.rank, u.user]), leaderboard.users.map((u, idx) => [idx + 1, u.user]));
+
+  const { body: byPomodoros } = await get('/api/leaderboard?metric=pomodoros&limit=2');
+  assert.equal(byPomodoros.users.length, 2);
+  assert.ok(byPomodoros.users[0].pomodoroCount >= byPomodoros.users[1].pomodoroCount);
+
+  const { body: byPoints } = await get('/api/leaderboard?metric=points');
+  assert.ok(byPoints.users.every(u => typeof u.points === 'number'));
+});
+
+test('leaderboard periods, and bad parameters are 400s', async () => {
+  const { body } = await get('/api/leaderboard?period=today');
+  assert.equal(body.label, leaderboard.periods.today.label);
+  assert.equal(body.users.length, leaderboard.periods.today.users.length);
+
+  assert.equal((await get('/api/leaderboard?period=decade')).status, 400);
+  assert.equal((await get('/api/leaderboard?metric=karma')).status, 400);
+  assert.equal((await get('/api/leaderboard?room=Nowhere')).status, 404);
+});
+
+test('users are found through aliases, unknown ones are 404s', async () => {
+  const { status, body } = await get('/api/users/benjamin');
+  assert.equal(status, 200);
+  assert.equal(body.user, 'Ben');
+  assert.equal((await get('/api/users/Nobody')).status, 404);
+  assert.equal((await get('/api/users/%E0')).status, 400);
+});
+
+test('activity filters by time and user', async () => {
+  const { body: all } = await get('/api/activity');
+  assert.equal(all.count, leaderboard.activityLog.length);
+
+  const { body } = await get('/api/activity?from=2026-01-06&user=ana');
+  assert.ok(body.count > 0 && body.count < all.count);
+  assert.ok(body.activity.every(a => a.time >= '2026-01-06' &&
+    (a.startedBy === 'Ana' || a.participants.includes('Ana'))));
+  assert.equal((await get('/api/activity?from=someday')).status, 400);
+});
+
+test('presence now and live presence events from new rows', async () => {
+  const { body } = await get('/api/presence/now');
+  assert.deepEqual(body.rooms.map(r => [r.id, r.time, r.users]), [['SyntheticRoom', '2026-01-06T14:35:00.000Z', []]]);
+
+  const controller = new AbortController();
+  const res = await fetch(`${server.url}/api/events`, { signal: controller.signal });
+  assert.equal(res.headers.get('content-type'), 'text/event-stream');
+  const reader = res.body.getReader();
+  let text = '';
+  const readUntil = async (pattern) => {
+    while (!pattern.test(text)) text += Buffer.from((await reader.read()).value).toString();
+  };
+
+  // The current state comes first
+  await readUntil(/event: timer\n/);
+  fs.appendFileSync(path.join(dataDir, 'rooms', 'SyntheticRoom', 'presence.csv'), '2026-01-06T14:40:00.000Z,1,benjamin\n');
+  server.poll();
+  await readUntil(/"joined":\["Ben"\]/);
+  controller.abort();
+
+  assert.match(text, /event: presence\ndata: \{"room":"SyntheticRoom","time":"2026-01-06T14:40:00.000Z","users":\["Ben"\],"joined":\["Ben"\],"left":\[\]\}\n\n/);
+});
+
+// Storage stub: each poll reads the next batch of rows, or throws for an Error
+const storageOf = (batches) => ({
+  readNew: (roomId, kind) => {
+    const batch = batches[kind].shift() || [];
+    if (batch instanceof Error) throw batch;
+    return { records: batch, position: { offset: 1 } };
+  }
+});
+const timerRow = (timestamp, value, running = 'true') => ({ timestamp, timer_running: running, timer_value: value, session_type: 'work' });
+
+test('timer events only for changed readings, and failed checks are retried', () => {
+  const events = [];
+  const logged = [];
+  const watcher = createDataWatcher(storageOf({
+    presence: [[], new Error('bad row'), [{ timestamp: 't3', users: 'Ana' }]],
+    snapshots: [
+      [timerRow('t1', '00:00', 'false')],
+      [timerRow('t2', '00:00', 'false')],
+      [timerRow('t3', '24:55')]
+    ]
+  }), [{ id: 'Room', name: 'Room' }], (name, data) => name !== 'leaderboard' && events.push([name, data.time]), message => logged.push(message));
+
+  // The failed check leaves the snapshots for the next poll, where t2 repeats t1's reading
+  for (let i = 0; i < 4; i++) watcher.poll();
+  assert.deepEqual(events, [['timer', 't1'], ['presence', 't3'], ['timer', 't3']]);
+  assert.deepEqual(logged, ['Could not check Room for new data: bad row']);
+});
@@ -0,0 +1,91 @@
+// Storage backends: range reads on CSV and SQLite, and db.js import/export
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'synthetic');
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cuckoo-test-'));
+fs.cpSync(path.join(FIXTURE, 'rooms'), path.join(dataDir, 'rooms'), { recursive: true });
+// Storage reads its data directory and config when it's loaded
+process.env.CUCKOO_DATA_DIR = dataDir;
+process.env.CUCKOO_CONFIG = path.join(FIXTURE, 'cuckoo.config.json');
+
+const { CSV_HEADERS, getRooms } = require('../lib/config');
+const { readCSV } = require('../lib/csv');
+const { createCSVStorage } = require('../lib/storage');
+
+const ROOM = 'SyntheticRoom';
+const KINDS = Object.keys(CSV_HEADERS);
+const DB_PATH = path.join(dataDir, 'cuckoo.db');
+
+// better-sqlite3 is an optional dependency
+let sqlite = null;
+try {
+  require('better-sqlite3');
+  sqlite = require('../lib/sqlite-storage');
+} catch (err) {
+  // SQLite tests are skipped
+}
+const needsSQLite = { skip: !sqlite && 'better-sqlite3 is not installed' };
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const range = { from: new Date('2026-01-05T10:00:00.000Z'), to: new Date('2026-01-06T00:00:00.000Z') };
+
+test('CSV range reads return the rows in [from, to)', () => {
+  const csv = createCSVStorage();
+  const all = csv.read(ROOM, 'presence');
+  const inRange = csv.read(ROOM, 'presence', range);
+  assert.ok(inRange.length > 0 && inRange.length < all.length);
+  assert.deepEqual(inRange, all.filter(r => r.timestamp >= '2026-01-05T10:00:00.000Z' && r.timestamp < '2026-01-06T00:00:00.000Z'));
+  assert.deepEqual(csv.read(ROOM, 'presence', { to: new Date(all[0].timestamp) }), []);
+});
+
+test('CSV -> database -> CSV gives the same rows', needsSQLite, () => {
+  const { importRooms, exportRooms } = require('../db');
+  const before = Object.fromEntries(KINDS.map(kind => [kind, readCSV(path.join(dataDir, 'rooms', ROOM, `${kind}.csv`))]));
+
+  const db = sqlite.createSQLiteStorage(DB_PATH);
+  const log = console.log;
+  console.log = () => {};
+  try {
+    importRooms(db, createCSVStorage(), getRooms(), false);
+    for (const kind of KINDS) fs.rmSync(path.join(dataDir, 'rooms', ROOM, `${kind}.csv`));
+    exportRooms(db, getRooms());
+  } finally {
+    console.log = log;
+    db.close();
+  }
+
+  for (const kind of KINDS) {
+    assert.deepEqual(readCSV(path.join(dataDir, 'rooms', ROOM, `${kind}.csv`)), before[kind], kind);
+  }
+});
+
+test('SQLite range reads match CSV range reads', needsSQLite, () => {
+  const csv = createCSVStorage();
+  const db = sqlite.createSQLiteStorage(DB_PATH);
+  try {
+    for (const kind of KINDS) {
+      assert.deepEqual(db.read(ROOM, kind, range), csv.read(ROOM, kind, range), kind);
+      assert.deepEqual(db.read(ROOM, kind, { from: range.to }), csv.read(ROOM, kind, { from: range.to }), kind);
+    }
+  } finally {
+    db.close();
+  }
+});
+
+test('a leaderboard as of a past time is the same from either backend', needsSQLite, () => {
+  const run = (backend) => {
+    const env = { ...process.env, CUCKOO_STORAGE: backend, CUCKOO_DB_PATH: DB_PATH };
+    const output = execFileSync(process.execPath, [path.join(__dirname, '..', 'leaderboard.js'), '--as-of', '2026-01-05T12:00:00.000Z'], { env }).toString();
+    const file = output.match(/saved to: (.*\.json)/)[1].trim();
+    const { generated, ...board } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return board;
+  };
+  assert.deepEqual(run('sqlite'), run('csv'));
+});
@@ -0,0 +1,215 @@
+// Timer extraction from the activity feed and reconciliation with timer snapshots
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractTimerEvents, extractTimerSnapshots, reconcileTimers, extractTimerStops, settleTimers, calculateUserStats } = require('../leaderboard');
+
+const at = (time) => new Date(`2026-01-05T${time}Z`);
+const activity = (time, user, action, timeAgo = '1 min ago') => ({
+  estimated_time: at(time).toISOString(),
+  scrape_time: at(time).toISOString(),
+  user,
+  action,
+  time_ago_raw: timeAgo
+});
+const snapshot = (time, running, value, type = 'unknown') => ({
+  timestamp: at(time).toISOString(),
+  timer_running: String(running),
+  timer_value: value,
+  session_type: type
+});
+
+test('work and break starts become timers', () => {
+  const timers = extractTimerEvents([
+    activity('09:31:00', 'Ana', 'started a 5 minute break'),
+    activity('09:06:00', 'Ana', 'started a 25 minute work session')
+  ]);
+
+  assert.deepEqual(timers.map(t => [t.type, t.duration, t.startedBy]), [
+    ['work', 25, 'Ana'],
+    ['break', 5, 'Ana']
+  ]);
+  assert.deepEqual(timers[0].endTime, at('09:31:00'));
+});
+
+test('other feed rows and system users are skipped', () => {
+  const timers = extractTimerEvents([
+    activity('09:00:00', 'Ana', 'joined this cuckoo'),
+    activity('09:01:00', 'Ana', 'restarted the current work session'),
+    activity('09:02:00', 'cuckoo', 'started a 25 minute work session'),
+    activity('09:03:00', 'unknown', 'started a 25 minute work session')
+  ]);
+  assert.deepEqual(timers, []);
+});
+
+test('coarse feed times are marked uncertain', () => {
+  const [hourly, minutely] = extractTimerEvents([
+    activity('08:00:00', 'Ana', 'started a 25 minute work session', '1 hours ago'),
+    activity('09:00:00', 'Ana', 'started a 25 minute work session', '4 min ago')
+  ]);
+  assert.equal(hourly.uncertaintyMs, 60 * 60 * 1000);
+  assert.equal(minutely.uncertaintyMs, 0);
+});
+
+test('only running timers with a countdown are timer snapshots', () => {
+  const points = extractTimerSnapshots([
+    snapshot('09:00:00', false, '00:00'),
+    snapshot('09:15:00', true, '16:30', 'work'),
+    snapshot('09:20:00', true, 'n/a', 'work')
+  ]);
+  assert.equal(points.length, 1);
+  assert.deepEqual(points[0].endTime, at('09:31:30'));
+  assert.equal(points[0].type, 'work');
+});
+
+test('countdown corrects the feed start time', () => {
+  const feed = extractTimerEvents([activity('09:06:00', 'Ana', 'started a 25 minute work session')]);
+  const result = reconcileTimers(feed, extractTimerSnapshots([snapshot('09:15:00', true, '16:30', 'work')]));
+
+  assert.equal(result.corrected, 1);
+  assert.deepEqual(result.timers[0].startTime, at('09:06:30'));
+  assert.deepEqual(result.timers[0].endTime, at('09:31:30'));
+});
+
+test('countdown of another type does not match', () => {
+  const feed = extractTimerEvents([activity('09:06:00', 'Ana', 'started a 25 minute work session')]);
+  const result = reconcileTimers(feed, extractTimerSnapshots([snapshot('09:15:00', true, '01:30', 'breakTime')]));
+
+  assert.equal(result.corrected, 0);
+  assert.deepEqual(result.timers[0].startTime, at('09:06:00'));
+});
+
+test('coarse feed row repeating a precise one is dropped', () => {
+  const feed = extractTimerEvents([
+    activity('09:06:00', 'Ana', 'started a 25 minute work session', '4 min ago'),
+    activity('09:30:00', 'Ana', 'started a 25 minute work session', '1 hours ago')
+  ]);
+  const result = reconcileTimers(feed, []);
+
+  assert.equal(result.duplicates, 1);
+  assert.equal(result.timers.length, 1);
+  assert.deepEqual(result.timers[0].startTime, at('09:06:00'));
+});
+
+test('a later scrape dating the same start a few minutes off is dropped', () => {
+  const feed = extractTimerEvents([
+    activity('19:59:00', 'Tess', 'started a 25 minute work session', 'just now'),
+    activity('20:02:00', 'Tess', 'started a 25 minute work session', '55 min ago'),
+    activity('20:02:00', 'Ana', 'started a 25 minute work session', '3 min ago'),
+    activity('20:24:00', 'Tess', 'started a 25 minute work session', '1 min ago')
+  ]);
+  const result = reconcileTimers(feed, []);
+
+  assert.equal(result.duplicates, 1);
+  assert.deepEqual(result.timers.map(t => [t.startedBy, t.startTime]), [
+    ['Tess', at('19:59:00')],
+    ['Ana', at('20:02:00')],
+    ['Tess', at('20:24:00')]
+  ]);
+});
+
+test('coarse feed row by someone else is kept', () => {
+  const feed = extractTimerEvents([
+    activity('09:06:00', 'Ana', 'started a 25 minute work session', '4 min ago'),
+    activity('09:30:00', 'Ben', 'started a 25 minute work session', '1 hours ago')
+  ]);
+  assert.equal(reconcileTimers(feed, []).timers.length, 2);
+});
+
+test('timer seen running but missing from the feed is added', () => {
+  const feed = extractTimerEvents([activity('09:31:00', 'Ana', 'started a 5 minute break')]);
+  const result = reconcileTimers(feed, extractTimerSnapshots([snapshot('11:00:00', true, '04:00', 'breakTime')]));
+
+  assert.equal(result.inferred, 1);
+  const added = result.timers.find(t => t.inferred);
+  assert.deepEqual([added.type, added.duration, added.startedBy], ['break', 5, null]);
+  assert.deepEqual(added.startTime, at('10:59:00'));
+});
+
+test('snapshots of one timer are counted once', () => {
+  const result = reconcileTimers([], extractTimerSnapshots([
+    snapshot('10:00:00', true, '20:00', 'work'),
+    snapshot('10:05:00', true, '15:00', 'unknown'),
+    snapshot('10:10:00', true, '10:00', 'work')
+  ]));
+  assert.equal(result.inferred, 1);
+  assert.equal(result.timers[0].duration, 25);
+});
+
+test('short countdown of unknown type is not guessed', () => {
+  const result = reconcileTimers([], extractTimerSnapshots([snapshot('10:00:00', true, '03:00')]));
+  assert.equal(result.inferred, 0);
+});
+
+// Ana in the room 09:00-11:00
+const present = { Ana: [{ joinTime: at('09:00:00'), leaveTime: at('11:00:00') }] };
+const settle = (feed, snapshots, now = at('12:00:00'), windows = present) => {
+  const reconciled = reconcileTimers(extractTimerEvents(feed), extractTimerSnapshots(snapshots));
+  return settleTimers(reconciled.timers, extractTimerStops(snapshots), windows, now);
+};
+
+test('a timer superseded by a later start ends there', () => {
+  const feed = [
+    activity('09:05:00', 'Ana', 'started a 25 minute work session'),
+    activity('09:20:00', 'Ana', 'started a 5 minute break')
+  ];
+  const result = settle(feed, [snapshot('09:22:00', true, '03:00', 'breakTime')]);
+
+  assert.deepEqual(result.timers.map(t => t.status), ['interrupted', 'completed']);
+  assert.deepEqual(result.timers[0].endTime, at('09:20:00'));
+  assert.deepEqual(result.timers[0].plannedEndTime, at('09:30:00'));
+  assert.equal(result.interrupted, 1);
+
+  // From the feed alone the break may have started as late as 09:30, but the
+  // work timer still ends where it was logged so their minutes don't overlap
+  const feedOnly = settle(feed, []);
+  assert.equal(feedOnly.timers[0].status, 'completed');
+  assert.deepEqual(feedOnly.timers[0].endTime, at('09:20:00'));
+});
+
+test('a timer superseded by one no snapshot saw ends at its logged start', () => {
+  const feed = [
+    activity('09:05:00', 'Ana', 'started a 25 minute work session'),
+    activity('09:10:00', 'Ben', 'started a 25 minute work session'),
+    activity('09:35:00', 'Ana', 'started a 5 minute break')
+  ];
+  const result = settle(feed, []);
+
+  assert.deepEqual(result.timers.map(t => [t.status, t.endTime]), [
+    ['interrupted', at('09:10:00')],
+    ['completed', at('09:35:00')],
+    ['completed', at('09:40:00')]
+  ]);
+  const stats = calculateUserStats(present, result.timers);
+  assert.equal(stats.Ana.totalWorkMinutes, 30);
+});
+
+test('work timers logged with the same start are counted once', () => {
+  const feed = [
+    activity('09:05:00', 'Ana', 'started a 25 minute work session'),
+    activity('09:05:00', 'Ben', 'started a 25 minute work session')
+  ];
+  const result = settle(feed, []);
+
+  assert.equal(result.timers.length, 2);
+  assert.equal(calculateUserStats(present, result.timers).Ana.totalWorkMinutes, 25);
+});
+
+test('a stopped timer in a snapshot ends the timer, once it has surely started', () => {
+  const feed = [activity('09:05:00', 'Ana', 'started a 25 minute work session')];
+
+  const stopped = settle(feed, [snapshot('09:22:00', false, '00:00')]);
+  assert.equal(stopped.timers[0].status, 'interrupted');
+  assert.deepEqual(stopped.timers[0].endTime, at('09:22:00'));
+
+  // The feed time may be early, so the timer might not have started yet
+  const tooEarly = settle(feed, [snapshot('09:10:00', false, '00:00')]);
+  assert.equal(tooEarly.timers[0].status, 'completed');
+  assert.deepEqual(tooEarly.timers[0].endTime, at('09:30:00'));
+});
+
+test('a timer nobody was there to see end is abandoned', () => {
+  const feed = [activity('10:50:00', 'Ana', 'started a 25 minute work session')];
+  assert.equal(settle(feed, []).timers[0].status, 'abandoned');
+  assert.equal(settle(feed, [], at('11:10:00')).timers[0].status, 'running');
+});
@@ -0,0 +1,64 @@
+// Reporting timezone: day, week and hour boundaries, and a leaderboard built in one
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createTimeZone } = require('../lib/timezone');
+const { getTimezone } = require('../lib/config');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'synthetic');
+
+test('days and weeks start at local midnight, across DST changes', () => {
+  const newYork = createTimeZone('America/New_York');
+  // 01:30 EST, half an hour before clocks go forward
+  const date = new Date('2026-03-08T06:30:00.000Z');
+  assert.equal(newYork.dayKey(date), '2026-03-08');
+  assert.equal(newYork.startOfDay(date).toISOString(), '2026-03-08T05:00:00.000Z');
+  assert.equal(newYork.startOfDayKey('2026-03-09').toISOString(), '2026-03-09T04:00:00.000Z');
+  assert.equal(newYork.startOfWeek(date).toISOString(), '2026-03-02T05:00:00.000Z');
+  assert.equal(newYork.startOfMonth(date).toISOString(), '2026-03-01T05:00:00.000Z');
+  assert.deepEqual([newYork.weekday(date), newYork.hour(date)], [6, 1]);
+});
+
+test('hours follow the timezone\'s offset', () => {
+  const kolkata = createTimeZone('Asia/Kolkata');
+  const date = new Date('2026-01-05T20:10:00.000Z');
+  assert.equal(kolkata.dayKey(date), '2026-01-06');
+  assert.equal(kolkata.startOfHour(date).toISOString(), '2026-01-05T19:30:00.000Z');
+  assert.equal(kolkata.offsetMs(date), 5.5 * 60 * 60 * 1000);
+});
+
+test('unknown timezones are rejected', () => {
+  assert.equal(getTimezone({}), 'UTC');
+  assert.equal(getTimezone({ timezone: 'Europe/London' }), 'Europe/London');
+  assert.throws(() => getTimezone({ timezone: 'Mars/Olympus' }), /Unknown timezone: "Mars\/Olympus"/);
+});
+
+test('periods and streaks use the reporting timezone', (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cuckoo-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  fs.cpSync(path.join(FIXTURE, 'rooms'), path.join(dataDir, 'rooms'), { recursive: true });
+
+  execFileSync(process.execPath, [path.join(__dirname, '..', 'leaderboard.js'), '--now', '2026-01-06T15:00:00.000Z'], {
+    env: {
+      PATH: process.env.PATH,
+      CUCKOO_DATA_DIR: dataDir,
+      CUCKOO_CONFIG: path.join(FIXTURE, 'cuckoo.config.json'),
+      CUCKOO_TIMEZONE: 'Pacific/Auckland'
+    }
+  });
+  const leaderboard = JSON.parse(fs.readFileSync(path.join(dataDir, 'leaderboard.json'), 'utf8'));
+
+  assert.equal(leaderboard.timezone, 'Pacific/Auckland');
+  // 15:00 UTC is 04:00 the next day in Auckland (UTC+13)
+  assert.equal(leaderboard.periods.today.label, '2026-01-07');
+  assert.equal(leaderboard.periods.today.from, '2026-01-06T11:00:00.000Z');
+  assert.equal(leaderboard.periods.week.from, '2026-01-04T11:00:00.000Z');
+  // Ana's pomodoros on the 5th and 6th (UTC) fall on the 5th and 7th there: no streak
+  const ana = leaderboard.users.find(u => u.user === 'Ana');
+  assert.deepEqual([ana.activeDays, ana.longestStreak, ana.currentStreak], [2, 1, 1]);
+  assert.deepEqual(leaderboard.analytics.daily.map(d => d.day), ['2026-01-05', '2026-01-07']);
+});